@@ -0,0 +1,26 @@
+const CHECK_LABELS = {
+  idle: '—',
+  checking: '⏳ Listening for sound...',
+  signal: '✅ Sound detected',
+  silent: '🔇 No sound yet. That is fine if nothing is playing.',
+  unsupported: 'Level check is not supported in this browser'
+};
+
+// Live level of the shared system audio
+export default function AudioLevelMeter({ level, check }) {
+  // Speech and system sounds rarely pass 0.5 RMS, so scale the bar up
+  const percent = Math.min(100, Math.round(level * 200));
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 max-w-lg mx-auto">
+      <h4 className="font-bold text-gray-800 mb-3">🔊 System Audio</h4>
+      <div className="h-3 bg-gray-200 rounded-full overflow-hidden mb-2">
+        <div
+          className={`h-full transition-all duration-100 ${percent > 80 ? 'bg-red-500' : 'bg-green-500'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <p className="text-sm text-gray-600">{CHECK_LABELS[check.status]}</p>
+    </div>
+  );
+}
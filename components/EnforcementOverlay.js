@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react';
+import { VIOLATION_TITLES } from './ViolationToast';
+
+// Blocking notice for the acknowledge and pause steps of enforcement
+export default function EnforcementOverlay({ awaitingAcknowledgment, pausedUntil, onAcknowledge, onResume }) {
+  const [now, setNow] = useState(Date.now());
+
+  // Count the pause down once a second
+  useEffect(() => {
+    if (pausedUntil === null) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [pausedUntil]);
+
+  if (pausedUntil === null && !awaitingAcknowledgment) return null;
+
+  if (pausedUntil !== null) {
+    const remaining = Math.max(0, Math.ceil((pausedUntil - now) / 1000));
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50">
+        <div className="bg-white rounded-2xl shadow-2xl p-8 max-w-md mx-4 text-center">
+          <div className="text-5xl mb-4">⏸️</div>
+          <h3 className="text-xl font-bold text-red-700 mb-4">Session Paused</h3>
+          <p className="text-gray-600 mb-6">
+            Repeated monitoring violations paused this session. Further violations may end it.
+          </p>
+          <button
+            onClick={onResume}
+            disabled={remaining > 0}
+            className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-bold py-3 px-4 rounded-lg transition-colors duration-200"
+          >
+            {remaining > 0 ? `Resume in ${remaining}s` : '▶️ Resume Session'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-8 max-w-md mx-4 text-center">
+        <div className="text-5xl mb-4">✋</div>
+        <h3 className="text-xl font-bold text-gray-800 mb-4">
+          {VIOLATION_TITLES[awaitingAcknowledgment.type] || 'Monitoring Violation'}
+        </h3>
+        <p className="text-gray-600 mb-6">
+          This has happened {awaitingAcknowledgment.strikes} times. Please confirm you understand the exam rules;
+          further violations will pause and then end your session.
+        </p>
+        <button
+          onClick={onAcknowledge}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-4 rounded-lg transition-colors duration-200"
+        >
+          I Understand
+        </button>
+      </div>
+    </div>
+  );
+}
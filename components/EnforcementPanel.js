@@ -0,0 +1,44 @@
+import { ENFORCEMENT_ORDER } from '../lib/enforcement';
+import { VIOLATION_TITLES } from './ViolationToast';
+
+const LEVEL_STYLES = {
+  warn: 'bg-amber-100 text-amber-800',
+  acknowledge: 'bg-orange-100 text-orange-800',
+  pause: 'bg-red-100 text-red-800',
+  end: 'bg-red-600 text-white'
+};
+
+// Strikes per violation type and the step each one has reached
+export default function EnforcementPanel({ strikes, thresholds, enabled }) {
+  const steps = ENFORCEMENT_ORDER.filter(level => thresholds[level] !== null);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 max-w-lg mx-auto">
+      <h4 className="font-bold text-gray-800 mb-1">⚖️ Strikes</h4>
+      <p className="text-xs text-gray-500 mb-3">
+        {enabled
+          ? steps.map(level => `${level} at ${thresholds[level]}`).join(' → ')
+          : 'Enforcement is off for this session'}
+      </p>
+
+      {enabled && (strikes.length === 0 ? (
+        <p className="text-sm text-green-700">✅ No strikes</p>
+      ) : (
+        <ul className="space-y-1 text-sm text-left">
+          {strikes.map(({ type, strikes: count, level, next }) => (
+            <li key={type} className="flex items-center justify-between">
+              <span className="text-gray-700">{VIOLATION_TITLES[type] || type}</span>
+              <span className="space-x-2">
+                <span className="font-mono text-gray-800">{count}</span>
+                {level && (
+                  <span className={`text-xs font-semibold px-2 py-0.5 rounded ${LEVEL_STYLES[level]}`}>{level}</span>
+                )}
+                {next && <span className="text-xs text-gray-500">{next.level} at {next.at}</span>}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import { describePolicy } from '../lib/policy';
+
+// Read-only view of the rules this session runs under
+export default function PolicySummary({ policy }) {
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mt-6 text-left">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800">📋 Session Policy</h3>
+        <span className="text-sm text-gray-500">
+          {policy.name} <span className="font-mono">({policy.id})</span>
+        </span>
+      </div>
+
+      <dl className="grid grid-cols-2 gap-x-6 gap-y-2 text-sm">
+        {describePolicy(policy).map(([label, value]) => (
+          <div key={label} className="flex justify-between border-b border-gray-100 py-1">
+            <dt className="text-gray-600">{label}</dt>
+            <dd className="font-medium text-gray-800 text-right">{value}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { PREFLIGHT_STATUS, formatPreflightReport } from '../lib/preflight';
+
+const STATUS_STYLES = {
+  [PREFLIGHT_STATUS.PASS]: { icon: '✅', className: 'text-green-800' },
+  [PREFLIGHT_STATUS.INFO]: { icon: 'ℹ️', className: 'text-gray-700' },
+  [PREFLIGHT_STATUS.WARN]: { icon: '⚠️', className: 'text-amber-800' },
+  [PREFLIGHT_STATUS.FAIL]: { icon: '❌', className: 'text-red-800' }
+};
+
+// Fall back to a hidden textarea where the async clipboard API is unavailable
+const copyText = async (text) => {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  document.body.appendChild(textarea);
+  textarea.select();
+  document.execCommand('copy');
+  document.body.removeChild(textarea);
+};
+
+// Browser capability checks with a copyable report for support tickets
+export default function PreflightPanel({ report, status, onRerun }) {
+  const [copyStatus, setCopyStatus] = useState(null);
+
+  const copyReport = async () => {
+    try {
+      await copyText(formatPreflightReport(report));
+      setCopyStatus('📋 Copied');
+    } catch (error) {
+      console.error('Could not copy diagnostics:', error);
+      setCopyStatus('❌ Copy failed');
+    }
+  };
+
+  if (status === 'running') {
+    return (
+      <div className="bg-white rounded-2xl shadow-xl p-6 mb-8 max-w-4xl mx-auto text-center text-gray-600">
+        ⏳ Checking your browser...
+      </div>
+    );
+  }
+
+  if (!report) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mb-8 max-w-4xl mx-auto text-left">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800">🩺 Browser Check</h3>
+        <span className={`text-sm font-semibold ${report.canStart ? 'text-green-600' : 'text-red-600'}`}>
+          {report.canStart ? 'Ready to share' : 'Screen sharing is blocked'}
+        </span>
+      </div>
+
+      <ul className="space-y-2 text-sm mb-4">
+        {report.checks.map(({ id, label, status: checkStatus, detail, remediation }) => (
+          <li key={id} className={STATUS_STYLES[checkStatus].className}>
+            <span className="mr-2">{STATUS_STYLES[checkStatus].icon}</span>
+            <strong>{label}:</strong> {detail}
+            {remediation && checkStatus !== PREFLIGHT_STATUS.PASS && (
+              <p className="ml-7 text-gray-600">{remediation}</p>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex items-center space-x-3">
+        <button
+          onClick={copyReport}
+          className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-2 px-4 rounded-lg text-sm transition-colors duration-200"
+        >
+          📋 Copy Diagnostics
+        </button>
+        <button
+          onClick={onRerun}
+          className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg text-sm transition-colors duration-200"
+        >
+          🔁 Check Again
+        </button>
+        {copyStatus && <span className="text-sm text-gray-600">{copyStatus}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import { useSessionLog } from '../hooks/useSessionLog';
+import { exportAsJSON, exportAsCSV, downloadFile } from '../lib/sessionLog';
+
+const TYPE_STYLES = {
+  step: 'bg-blue-100 text-blue-800',
+  validation: 'bg-green-100 text-green-800',
+  violation: 'bg-red-100 text-red-800',
+  'violation-update': 'bg-red-50 text-red-700',
+  interruption: 'bg-orange-100 text-orange-800',
+  snapshot: 'bg-purple-100 text-purple-800',
+  enforcement: 'bg-red-200 text-red-900',
+  error: 'bg-amber-100 text-amber-800'
+};
+
+// Short human-readable description of a log entry
+const describeEntry = ({ type, data }) => {
+  if (type === 'step') return `Step → ${data.step}`;
+  if (type === 'validation') return `${data.decision} (${data.surface}, ${data.signal}, ${data.confidence})`;
+  if (type === 'violation' || type === 'violation-update' || type === 'interruption') return data.message;
+  if (type === 'snapshot') return `Snapshot (${data.reason}, ${data.width}×${data.height})`;
+  if (type === 'enforcement') {
+    return data.violationType
+      ? `${data.action}: ${data.violationType} (${data.strikes} strikes${data.level ? `, ${data.level}` : ''})`
+      : data.action;
+  }
+  return `${data.name}: ${data.message}`;
+};
+
+// Session audit log with JSON and CSV export
+export default function SessionLogPanel() {
+  const entries = useSessionLog();
+
+  const exportLog = (format) => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    if (format === 'json') {
+      downloadFile(`session-log-${stamp}.json`, exportAsJSON(entries), 'application/json');
+    } else {
+      downloadFile(`session-log-${stamp}.csv`, exportAsCSV(entries), 'text/csv');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mt-6 text-left">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800">📜 Session Audit Log</h3>
+        <span className="text-sm text-gray-500">{entries.length} entries</span>
+      </div>
+
+      <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg mb-4">
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500 p-3">No events recorded yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {entries.slice(-20).reverse().map(entry => (
+              <li key={entry.id} className="flex items-start space-x-2 p-2">
+                <span className="font-mono text-xs text-gray-500 whitespace-nowrap">
+                  {new Date(entry.timestamp).toLocaleTimeString()}
+                </span>
+                <span className={`text-xs font-semibold px-2 rounded ${TYPE_STYLES[entry.type] || 'bg-gray-100 text-gray-800'}`}>
+                  {entry.type}
+                </span>
+                <span className="text-gray-700">{describeEntry(entry)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="flex justify-center space-x-3">
+        <button
+          onClick={() => exportLog('json')}
+          disabled={entries.length === 0}
+          className="bg-indigo-500 hover:bg-indigo-600 disabled:bg-gray-400 text-white font-bold py-2 px-4 rounded-lg transition-colors duration-200"
+        >
+          ⬇️ Export JSON
+        </button>
+        <button
+          onClick={() => exportLog('csv')}
+          disabled={entries.length === 0}
+          className="bg-indigo-500 hover:bg-indigo-600 disabled:bg-gray-400 text-white font-bold py-2 px-4 rounded-lg transition-colors duration-200"
+        >
+          ⬇️ Export CSV
+        </button>
+      </div>
+    </div>
+  );
+}
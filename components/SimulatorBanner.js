@@ -0,0 +1,28 @@
+import { useRouter } from 'next/router';
+import { SIMULATOR_SCENARIOS } from '../lib/simulator';
+
+// Marks a simulated session and switches between scenarios
+export default function SimulatorBanner({ scenarioName }) {
+  const router = useRouter();
+
+  const selectScenario = (event) => {
+    router.replace({ query: { ...router.query, simulate: event.target.value } });
+  };
+
+  return (
+    <div className="bg-purple-600 text-white rounded-lg px-4 py-3 mb-6 max-w-4xl mx-auto flex items-center justify-between">
+      <span className="font-semibold">
+        🧪 Simulator: {SIMULATOR_SCENARIOS[scenarioName].description}
+      </span>
+      <select
+        value={scenarioName}
+        onChange={selectScenario}
+        className="text-gray-800 rounded px-2 py-1 text-sm"
+      >
+        {Object.entries(SIMULATOR_SCENARIOS).map(([name, scenario]) => (
+          <option key={name} value={name}>{name} — {scenario.description}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
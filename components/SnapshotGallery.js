@@ -0,0 +1,93 @@
+import Image from 'next/image';
+import { SNAPSHOT_FORMATS } from '../lib/snapshots';
+
+const INTERVAL_CHOICES = [
+  { label: 'Every 10s', value: 10000 },
+  { label: 'Every 30s', value: 30000 },
+  { label: 'Every 60s', value: 60000 },
+  { label: 'Every 5 min', value: 300000 }
+];
+
+const WIDTH_CHOICES = [160, 320, 640];
+
+// Thumbnails of evidence snapshots with capture settings
+export default function SnapshotGallery({ snapshots, options, onOptionsChange, onCaptureNow }) {
+  const updateOption = (key, value) => onOptionsChange({ ...options, [key]: value });
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-6 mt-6 text-left">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800">📸 Evidence Snapshots</h3>
+        <button
+          onClick={onCaptureNow}
+          className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-2 px-4 rounded-lg transition-colors duration-200"
+        >
+          📷 Capture Now
+        </button>
+      </div>
+
+      {/* Capture Settings */}
+      <div className="grid grid-cols-3 gap-3 text-sm mb-4">
+        <label className="block">
+          <span className="text-gray-700">Interval</span>
+          <select
+            value={options.intervalMs}
+            onChange={(e) => updateOption('intervalMs', Number(e.target.value))}
+            className="w-full mt-1 px-2 py-1 border border-gray-300 rounded-lg"
+          >
+            {INTERVAL_CHOICES.map(({ label, value }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Format</span>
+          <select
+            value={options.format}
+            onChange={(e) => updateOption('format', e.target.value)}
+            className="w-full mt-1 px-2 py-1 border border-gray-300 rounded-lg"
+          >
+            {Object.keys(SNAPSHOT_FORMATS).map(format => (
+              <option key={format} value={format}>{format.toUpperCase()}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Width</span>
+          <select
+            value={options.width}
+            onChange={(e) => updateOption('width', Number(e.target.value))}
+            className="w-full mt-1 px-2 py-1 border border-gray-300 rounded-lg"
+          >
+            {WIDTH_CHOICES.map(width => (
+              <option key={width} value={width}>{width}px</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {snapshots.length === 0 ? (
+        <p className="text-sm text-gray-500">No snapshots captured yet.</p>
+      ) : (
+        <div className="grid grid-cols-3 md:grid-cols-4 gap-3">
+          {snapshots.map(snapshot => (
+            <figure key={snapshot.id} className="border border-gray-200 rounded-lg overflow-hidden">
+              {/* Data URLs have nothing for the image optimizer to fetch */}
+              <Image
+                src={snapshot.dataUrl}
+                alt={`Snapshot captured on ${snapshot.reason}`}
+                width={snapshot.width}
+                height={snapshot.height}
+                unoptimized
+                className="w-full h-auto"
+              />
+              <figcaption className={`text-xs px-2 py-1 ${snapshot.reason === 'violation' ? 'bg-red-50 text-red-700' : 'bg-gray-50 text-gray-600'}`}>
+                {new Date(snapshot.capturedAt).toLocaleTimeString()} · {snapshot.reason}
+              </figcaption>
+            </figure>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { useEffect } from 'react';
+import { isInformational } from '../lib/violations';
+
+// How long a violation stays on screen
+const TOAST_DURATION = 6000;
+
+export const VIOLATION_TITLES = {
+  'cursor-out-of-bounds': 'Multiple Monitor Used',
+  'multiple-displays': 'Additional Display Connected',
+  'tab-hidden': 'Page Hidden',
+  'focus-lost': 'Window Focus Lost',
+  'fullscreen-exit': 'Fullscreen Exited',
+  'page-hidden': 'Page Closed',
+  'black-screen': 'Black Screen Shared',
+  'frozen-screen': 'Shared Screen Frozen',
+  'screen-occluded': 'Shared Screen Covered'
+};
+
+// Single non-blocking violation notice
+function ViolationToastItem({ violation, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(violation.id), TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [violation.id, onDismiss]);
+
+  return (
+    <div
+      role="alert"
+      className="bg-red-50 border border-red-300 text-left rounded-lg shadow-lg p-4 flex items-start space-x-3"
+    >
+      <span className="text-2xl">⚠️</span>
+      <div className="flex-1">
+        <p className="font-bold text-red-800">
+          {VIOLATION_TITLES[violation.type] || 'Monitoring Violation'}
+        </p>
+        <p className="text-sm text-red-700">{violation.message}</p>
+        {violation.strike && (
+          <p className="text-xs font-semibold text-red-600 mt-1">
+            Strike {violation.strike.strikes} · {violation.strike.level || 'noted'}
+          </p>
+        )}
+        {isInformational(violation.type) && (
+          <p className="text-xs font-semibold text-red-600 mt-1">For information only · no strike</p>
+        )}
+        <p className="text-xs text-red-500 mt-1">
+          {new Date(violation.timestamp).toLocaleTimeString()}
+        </p>
+      </div>
+      <button
+        onClick={() => onDismiss(violation.id)}
+        className="text-red-500 hover:text-red-700 font-bold"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
+
+// Stack of violation notices shown over the page
+export default function ViolationToast({ violations, onDismiss }) {
+  if (violations.length === 0) return null;
+
+  return (
+    <div className="fixed top-4 right-4 z-40 w-full max-w-sm space-y-3">
+      {violations.map(violation => (
+        <ViolationToastItem key={violation.id} violation={violation} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef } from 'react';
+import { createLevelMeter, SILENCE_THRESHOLD } from '../lib/audioCheck';
+
+const METER_INTERVAL_MS = 100;
+
+// Live level of the shared system audio. For the first checkMs it also runs
+// the level check: 'signal' once any sound comes through, 'silent' otherwise.
+// Each stream gets one analyser and one check; while inactive (e.g. during an
+// interruption) the meter pauses and the check picks up where it stopped.
+export const useAudioLevel = (stream, isActive = false, checkMs = 3000) => {
+  const [level, setLevel] = useState(0);
+  const [check, setCheck] = useState({ status: 'idle', peak: 0 });
+  const meterRef = useRef(null); // { stream, meter, peak, listenedMs, done }
+
+  // Close the analyser once its stream is replaced or the page goes away
+  useEffect(() => () => {
+    meterRef.current?.meter?.close();
+    meterRef.current = null;
+  }, [stream]);
+
+  useEffect(() => {
+    if (!isActive || !stream) return;
+
+    if (meterRef.current?.stream !== stream) {
+      const meter = createLevelMeter(stream);
+      meterRef.current = { stream, meter, peak: 0, listenedMs: 0, done: !meter };
+      setCheck({ status: meter ? 'checking' : 'unsupported', peak: 0 });
+    }
+    const state = meterRef.current;
+    if (!state.meter) return;
+
+    let lastTick = Date.now();
+    const timer = setInterval(() => {
+      const current = state.meter.getLevel();
+      setLevel(current);
+      if (state.done) return;
+
+      const now = Date.now();
+      state.listenedMs += now - lastTick;
+      lastTick = now;
+      state.peak = Math.max(state.peak, current);
+      if (state.peak >= SILENCE_THRESHOLD || state.listenedMs >= checkMs) {
+        state.done = true;
+        setCheck({ status: state.peak >= SILENCE_THRESHOLD ? 'signal' : 'silent', peak: state.peak });
+      }
+    }, METER_INTERVAL_MS);
+
+    return () => {
+      clearInterval(timer);
+      setLevel(0);
+    };
+  }, [stream, isActive, checkMs]);
+
+  return { level, check };
+};
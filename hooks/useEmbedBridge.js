@@ -0,0 +1,57 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { VALIDATOR_SOURCE, HOST_SOURCE, EMBED_EVENTS, EMBED_COMMANDS, resolveHostOrigin } from '../lib/embedProtocol';
+
+// Connects the validator to an allow-listed host page through postMessage
+export const useEmbedBridge = (isEmbedded = false, commandHandlers = {}) => {
+  const [hostOrigin, setHostOrigin] = useState(null);
+  const handlersRef = useRef(commandHandlers);
+
+  // Keep the latest handlers without re-attaching the listener
+  useEffect(() => {
+    handlersRef.current = commandHandlers;
+  });
+
+  useEffect(() => {
+    if (!isEmbedded || typeof window === 'undefined') return;
+
+    const origin = resolveHostOrigin(window);
+    if (!origin) {
+      console.warn('Embedded by a host that is not on the allow-list; messages are disabled.');
+      return;
+    }
+    setHostOrigin(origin);
+
+    const handleMessage = (event) => {
+      if (event.origin !== origin || event.source !== window.parent) return;
+      const { source, command, payload } = event.data || {};
+      if (source !== HOST_SOURCE || !Object.values(EMBED_COMMANDS).includes(command)) return;
+
+      const handler = handlersRef.current[command];
+      if (handler) {
+        handler(payload);
+      } else {
+        console.warn(`No handler for embed command "${command}"`);
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    window.parent.postMessage(
+      { source: VALIDATOR_SOURCE, type: EMBED_EVENTS.READY, payload: {}, timestamp: Date.now() },
+      origin
+    );
+
+    return () => window.removeEventListener('message', handleMessage);
+  }, [isEmbedded]);
+
+  // Post a structured message to the host, never to an unknown origin
+  const post = useCallback((type, payload = {}) => {
+    if (!hostOrigin) return;
+    window.parent.postMessage({ source: VALIDATOR_SOURCE, type, payload, timestamp: Date.now() }, hostOrigin);
+  }, [hostOrigin]);
+
+  return {
+    isConnected: Boolean(hostOrigin),
+    hostOrigin,
+    post
+  };
+};
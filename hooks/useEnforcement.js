@@ -0,0 +1,137 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createEnforcementEngine, ENFORCEMENT_LEVELS, NOTHING_OPEN } from '../lib/enforcement';
+import { DEFAULT_POLICY } from '../lib/policy';
+import { isInformational } from '../lib/violations';
+
+const NO_HISTORY = [];
+
+// Escalate repeated violations under the policy's enforcement rules.
+// The page feeds every violation to record(); onEvent(action, data) receives a
+// 'strike' for every counted violation (with the step it applied), then
+// 'acknowledged' and 'resumed', and onEnd(result) runs when a violation type
+// reaches the 'end' step. history holds strikes the server already has for the
+// session ([{ violationType, strikeAt }]), so a reload keeps counting from them,
+// and open the { awaitingAcknowledgment, pausedUntil } the session left open.
+// Violations are not counted while the session is paused, and informational
+// ones never are.
+export const useEnforcement = (isActive = false, policy = DEFAULT_POLICY, {
+  onEvent,
+  onEnd,
+  history = NO_HISTORY,
+  open = NOTHING_OPEN
+} = {}) => {
+  const { enforcement, gracePeriods } = policy;
+  const [strikes, setStrikes] = useState([]);
+  const [awaitingAcknowledgment, setAwaitingAcknowledgment] = useState(null); // Result that asked for it
+  const [pausedUntil, setPausedUntil] = useState(null);
+
+  const engineRef = useRef(null);
+  // Set synchronously, so violations in the same tick as the pause are not counted
+  const pausedRef = useRef(false);
+  const callbacksRef = useRef({ onEvent, onEnd });
+  const settingsRef = useRef({ isActive, enforcement });
+
+  // Keep the latest callbacks and settings without re-creating record()
+  useEffect(() => {
+    callbacksRef.current = { onEvent, onEnd };
+    settingsRef.current = { isActive, enforcement };
+  }, [onEvent, onEnd, isActive, enforcement]);
+
+  const pause = (until) => {
+    pausedRef.current = until !== null;
+    setPausedUntil(until);
+  };
+
+  // A new policy starts the count over from the strikes the server has, with
+  // the prompt or pause that was open when the page went away
+  useEffect(() => {
+    const engine = createEnforcementEngine({
+      thresholds: enforcement.thresholds,
+      graceMs: gracePeriods.strikeGraceMs,
+      strikeWindowMs: enforcement.strikeWindowMs
+    });
+    history.forEach(({ violationType, strikeAt }) => engine.record(violationType, new Date(strikeAt).getTime()));
+    engineRef.current = engine;
+    setStrikes(engine.getState());
+    setAwaitingAcknowledgment(open.awaitingAcknowledgment);
+    pause(open.pausedUntil);
+  }, [enforcement, gracePeriods.strikeGraceMs, history, open]);
+
+  // Count a violation and apply its step; returns the engine's result, or null
+  // when enforcement is off or paused or the violation is informational.
+  // Repeats inside the grace period come back uncounted.
+  const record = useCallback((violation) => {
+    const { isActive: active, enforcement: rules } = settingsRef.current;
+    if (!active || !rules.enabled || pausedRef.current || !engineRef.current) return null;
+    if (isInformational(violation.type)) return null;
+
+    const result = engineRef.current.record(violation.type, violation.timestamp);
+    setStrikes(engineRef.current.getState(violation.timestamp));
+    if (!result.counted) return result;
+
+    // Every counted strike is reported with the step it applied, repeats of a
+    // step included, and a pause with its end so a reload can restore it
+    const pausedUntilAt = result.level === ENFORCEMENT_LEVELS.PAUSE ? Date.now() + rules.pauseMs : null;
+    const { onEvent: report, onEnd: end } = callbacksRef.current;
+    if (report) {
+      report('strike', {
+        violationType: result.type,
+        strikes: result.strikes,
+        level: result.level,
+        escalated: result.escalated,
+        strikeAt: new Date(violation.timestamp).toISOString(),
+        ...(pausedUntilAt !== null && { pausedUntil: new Date(pausedUntilAt).toISOString() })
+      });
+    }
+
+    if (result.level === ENFORCEMENT_LEVELS.ACKNOWLEDGE) {
+      setAwaitingAcknowledgment(result);
+    } else if (result.level === ENFORCEMENT_LEVELS.PAUSE) {
+      // A pause covers any acknowledgment still open
+      setAwaitingAcknowledgment(null);
+      pause(pausedUntilAt);
+    } else if (result.level === ENFORCEMENT_LEVELS.END) {
+      setAwaitingAcknowledgment(null);
+      pause(null);
+      if (end) end(result);
+    }
+    return result;
+  }, []);
+
+  const acknowledge = () => {
+    if (!awaitingAcknowledgment) return;
+    const { onEvent: report } = callbacksRef.current;
+    if (report) {
+      report('acknowledged', { violationType: awaitingAcknowledgment.type, strikes: awaitingAcknowledgment.strikes });
+    }
+    setAwaitingAcknowledgment(null);
+  };
+
+  // Lift the pause once it has run its course
+  const resume = () => {
+    if (pausedUntil === null || Date.now() < pausedUntil) return;
+    const { onEvent: report } = callbacksRef.current;
+    if (report) report('resumed', { pausedUntil: new Date(pausedUntil).toISOString() });
+    pause(null);
+  };
+
+  // Forget all strikes, e.g. when the session restarts
+  const reset = useCallback(() => {
+    engineRef.current?.reset();
+    setStrikes([]);
+    setAwaitingAcknowledgment(null);
+    pause(null);
+  }, []);
+
+  return {
+    strikes,
+    thresholds: enforcement.thresholds,
+    awaitingAcknowledgment,
+    pausedUntil,
+    isPaused: pausedUntil !== null,
+    record,
+    acknowledge,
+    resume,
+    reset
+  };
+};
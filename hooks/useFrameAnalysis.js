@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import {
+  createFrameAnalyzer,
+  createFrameSampler,
+  DEFAULT_FRAME_ANALYSIS_OPTIONS,
+  FRAME_CONDITIONS
+} from '../lib/frameAnalysis';
+import { emitViolation, updateViolation, VIOLATION_TYPES } from '../lib/violations';
+
+// Each condition has a present-tense message for when it starts and a past-tense
+// one for the update that adds its duration
+const CONDITION_VIOLATIONS = {
+  [FRAME_CONDITIONS.BLACK]: {
+    type: VIOLATION_TYPES.BLACK_SCREEN,
+    message: 'The shared screen is black.',
+    endedMessage: 'The shared screen was black'
+  },
+  [FRAME_CONDITIONS.FROZEN]: {
+    type: VIOLATION_TYPES.FROZEN_SCREEN,
+    message: 'The shared screen has stopped changing.',
+    endedMessage: 'The shared screen did not change'
+  },
+  [FRAME_CONDITIONS.OCCLUDED]: {
+    type: VIOLATION_TYPES.SCREEN_OCCLUDED,
+    message: 'The shared screen was suddenly covered by a single colour.',
+    endedMessage: 'The shared screen was covered by a single colour'
+  }
+};
+
+// Sample the shared stream and report black, frozen or covered content
+export const useFrameAnalysis = (stream, isActive = false, options = DEFAULT_FRAME_ANALYSIS_OPTIONS) => {
+  const [activeConditions, setActiveConditions] = useState([]);
+
+  const settings = { ...DEFAULT_FRAME_ANALYSIS_OPTIONS, ...options };
+  const { sampleIntervalMs, sampleWidth, blackLumaThreshold, uniformVarianceThreshold,
+    frozenDiffThreshold, frozenWindowMs, occlusionChangeThreshold } = settings;
+
+  useEffect(() => {
+    if (!isActive || !stream || typeof document === 'undefined') return;
+
+    const analyzer = createFrameAnalyzer({
+      blackLumaThreshold,
+      uniformVarianceThreshold,
+      frozenDiffThreshold,
+      frozenWindowMs,
+      occlusionChangeThreshold
+    });
+    const sampler = createFrameSampler(stream, sampleWidth);
+
+    const violations = {}; // condition -> violation emitted when it started
+
+    // Report a condition as soon as it starts (frozen: once its window has
+    // passed) and update that report with the duration when it ends
+    const report = ({ started, ended }) => {
+      started.forEach(({ condition, startedAt }) => {
+        const { type, message } = CONDITION_VIOLATIONS[condition];
+        violations[condition] = emitViolation(type, message, { startedAt });
+      });
+      ended.forEach(({ condition, endedAt, duration }) => {
+        const violation = violations[condition];
+        delete violations[condition];
+        // Throttled starts have nothing to update
+        if (!violation) return;
+        const { endedMessage } = CONDITION_VIOLATIONS[condition];
+        updateViolation(violation, {
+          message: `${endedMessage} for ${(duration / 1000).toFixed(1)}s.`,
+          details: { endedAt, duration }
+        });
+      });
+      setActiveConditions(analyzer.getActive());
+    };
+
+    let busy = false;
+    const tick = async () => {
+      if (busy) return;
+      busy = true;
+      try {
+        const luma = await sampler.sample();
+        if (luma) report(analyzer.analyze(luma, Date.now()));
+      } catch (error) {
+        console.warn('Frame analysis failed:', error);
+      } finally {
+        busy = false;
+      }
+    };
+
+    const interval = setInterval(tick, sampleIntervalMs);
+
+    return () => {
+      clearInterval(interval);
+      sampler.dispose();
+      report(analyzer.flush(Date.now()));
+    };
+  }, [stream, isActive, sampleIntervalMs, sampleWidth, blackLumaThreshold, uniformVarianceThreshold,
+    frozenDiffThreshold, frozenWindowMs, occlusionChangeThreshold]);
+
+  return {
+    activeConditions
+  };
+};
@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+import { sendHeartbeat } from '../lib/sessionClient';
+
+// Well below the server's liveness timeout so one lost request does not count
+const HEARTBEAT_INTERVAL_MS = 10000;
+
+// Tell the server the session, { id, secret }, is still alive; getStatus
+// returns the current { streamActive, monitoring, cursor } and is read at each beat
+export const useHeartbeat = (session, isActive, getStatus) => {
+  const getStatusRef = useRef(getStatus);
+  getStatusRef.current = getStatus;
+
+  useEffect(() => {
+    if (!isActive || !session) return;
+
+    const beat = () => {
+      sendHeartbeat(session, getStatusRef.current()).catch(error => {
+        console.warn('Could not send heartbeat:', error);
+      });
+    };
+
+    beat();
+    const interval = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [session, isActive]);
+};
@@ -0,0 +1,129 @@
+import { useState, useEffect, useRef } from 'react';
+import { emitViolation, updateViolation, VIOLATION_TYPES } from '../lib/violations';
+
+// Signals that can be switched on and off separately
+export const INTEGRITY_SIGNALS = {
+  visibility: { type: VIOLATION_TYPES.TAB_HIDDEN, label: 'Tab Visibility' },
+  focus: { type: VIOLATION_TYPES.FOCUS_LOST, label: 'Window Focus' },
+  fullscreen: { type: VIOLATION_TYPES.FULLSCREEN_EXIT, label: 'Fullscreen' },
+  pagehide: { type: VIOLATION_TYPES.PAGE_HIDDEN, label: 'Page Close' }
+};
+
+export const DEFAULT_INTEGRITY_SIGNALS = {
+  visibility: true,
+  focus: true,
+  fullscreen: true,
+  pagehide: true
+};
+
+// Reported when an episode starts
+const EPISODE_MESSAGES = {
+  visibility: 'This page is hidden (tab switched or window minimized).',
+  focus: 'The browser window lost focus.',
+  fullscreen: 'Fullscreen mode was exited.'
+};
+
+// Replaces the start message, with the duration, when the episode ends
+const ENDED_EPISODE_MESSAGES = {
+  visibility: 'This page was hidden (tab switched or window minimized)',
+  focus: 'The browser window was out of focus',
+  fullscreen: 'Fullscreen mode was left'
+};
+
+// Watch for the user leaving the page during a monitored session
+export const useIntegrityMonitor = (isActive = false, signals = DEFAULT_INTEGRITY_SIGNALS) => {
+  const [activeEpisodes, setActiveEpisodes] = useState([]);
+  const episodesRef = useRef({});
+
+  const { visibility, focus, fullscreen, pagehide } = signals;
+
+  useEffect(() => {
+    if (!isActive || typeof document === 'undefined') return;
+
+    const enabled = { visibility, focus, fullscreen, pagehide };
+    const episodes = episodesRef.current; // signal -> { startedAt, violation }
+
+    const syncActive = () => setActiveEpisodes(Object.keys(episodes));
+
+    // An episode is reported when the user leaves and updated with its
+    // duration when they come back
+    const startEpisode = (signal) => {
+      if (!enabled[signal] || episodes[signal]) return;
+      const startedAt = Date.now();
+      episodes[signal] = {
+        startedAt,
+        violation: emitViolation(INTEGRITY_SIGNALS[signal].type, EPISODE_MESSAGES[signal], { startedAt })
+      };
+      syncActive();
+    };
+
+    const endEpisode = (signal) => {
+      const episode = episodes[signal];
+      if (!episode) return;
+      delete episodes[signal];
+      syncActive();
+
+      // Throttled starts have nothing to update
+      if (!episode.violation) return;
+      const endedAt = Date.now();
+      const duration = endedAt - episode.startedAt;
+      updateViolation(episode.violation, {
+        message: `${ENDED_EPISODE_MESSAGES[signal]} for ${(duration / 1000).toFixed(1)}s.`,
+        details: { endedAt, duration }
+      });
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        startEpisode('visibility');
+      } else {
+        endEpisode('visibility');
+      }
+    };
+
+    const handleBlur = () => startEpisode('focus');
+    const handleFocus = () => endEpisode('focus');
+
+    let wasFullscreen = Boolean(document.fullscreenElement);
+    const handleFullscreenChange = () => {
+      const isFullscreen = Boolean(document.fullscreenElement);
+      if (wasFullscreen && !isFullscreen) {
+        startEpisode('fullscreen');
+      } else if (isFullscreen) {
+        endEpisode('fullscreen');
+      }
+      wasFullscreen = isFullscreen;
+    };
+
+    // The page is going away, so there is no end to wait for
+    const handlePageHide = (event) => {
+      if (!enabled.pagehide) return;
+      emitViolation(
+        VIOLATION_TYPES.PAGE_HIDDEN,
+        'The page was closed or navigated away during the session.',
+        { startedAt: Date.now(), endedAt: null, duration: null, persisted: event.persisted }
+      );
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('focus', handleFocus);
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('focus', handleFocus);
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+      window.removeEventListener('pagehide', handlePageHide);
+
+      // Close any open episode so its duration is not lost
+      Object.keys(episodes).forEach(endEpisode);
+    };
+  }, [isActive, visibility, focus, fullscreen, pagehide]);
+
+  return {
+    activeEpisodes
+  };
+};
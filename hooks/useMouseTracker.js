@@ -1,9 +1,20 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
+import { getScreenBounds, getOutOfBoundsEdges, isPointOutOfBounds } from '../lib/screenBounds';
+import { emitViolation, VIOLATION_TYPES } from '../lib/violations';
 
-export const useMouseTracker = (isActive = false, testCallback = null) => {
+// Which checks run and how long the cursor may stray, taken from the session policy
+export const DEFAULT_MOUSE_TRACKER_OPTIONS = {
+  detectCursor: true,
+  detectMultipleDisplays: true,
+  debounceMs: 300
+};
+
+export const useMouseTracker = (isActive = false, testCallback = null, options = DEFAULT_MOUSE_TRACKER_OPTIONS) => {
+  const { detectCursor, detectMultipleDisplays, debounceMs } = { ...DEFAULT_MOUSE_TRACKER_OPTIONS, ...options };
   const [currentMousePos, setCurrentMousePos] = useState({ screenX: 0, screenY: 0 });
   const debounceTimerRef = useRef(null);
-  const lastAlertRef = useRef(0);
+  const [detectionMode, setDetectionMode] = useState('cursor'); // 'cursor', 'window-management'
+  const [screenCount, setScreenCount] = useState(null);
 
   // Get screen information
   const getScreenInfo = useCallback(() => {
@@ -12,38 +23,41 @@ export const useMouseTracker = (isActive = false, testCallback = null) => {
         width: window.screen.width,
         height: window.screen.height,
         availWidth: window.screen.availWidth,
-        availHeight: window.screen.availHeight
+        availHeight: window.screen.availHeight,
+        availLeft: window.screen.availLeft ?? 0,
+        availTop: window.screen.availTop ?? 0,
+        bounds: getScreenBounds(window.screen, window.devicePixelRatio || 1)
       };
     }
-    return { width: 0, height: 0, availWidth: 0, availHeight: 0 };
+    return {
+      width: 0, height: 0, availWidth: 0, availHeight: 0, availLeft: 0, availTop: 0,
+      bounds: getScreenBounds(null)
+    };
   }, []);
 
   // Check if cursor is out of bounds
   const isOutOfBounds = useCallback((screenX, screenY) => {
-    const screenInfo = getScreenInfo();
-    
-    return screenX < 0 || screenX > screenInfo.availWidth || 
-           screenY < 0 || screenY > screenInfo.availHeight;
+    return isPointOutOfBounds(screenX, screenY, getScreenInfo().bounds);
   }, [getScreenInfo]);
 
-  // Show popup for multi-monitor detection
-  const showMultiMonitorPopup = useCallback((screenX, screenY, availWidth, availHeight) => {
-    // Prevent too many popups (max one every 3 seconds)
-    const now = Date.now();
-    if (now - lastAlertRef.current < 3000) return;
-    
-    lastAlertRef.current = now;
+  // Report a cursor outside the current screen
+  const reportOutOfBounds = useCallback((screenX, screenY, bounds) => {
+    const reason = getOutOfBoundsEdges(screenX, screenY, bounds);
     
-    // More detailed popup message
-    const reason = [];
-    if (screenX < 0) reason.push('left edge');
-    if (screenX > availWidth) reason.push('right edge');
-    if (screenY < 0) reason.push('top edge');
-    if (screenY > availHeight) reason.push('bottom edge');
-    
-    alert(`⚠️ Multiple Monitor Used\n\nCursor detected outside screen boundaries (${reason.join(', ')}).\n\nCurrent position: X=${screenX}, Y=${screenY}\nValid range: X=0-${availWidth}, Y=0-${availHeight}\n\nPlease use only a single monitor.`);
-    
-    console.warn('🚨 Multiple monitor detected - cursor out of bounds:', { screenX, screenY, availWidth, availHeight, reason });
+    return emitViolation(
+      VIOLATION_TYPES.CURSOR_OUT_OF_BOUNDS,
+      `Cursor detected outside screen boundaries (${reason.join(', ')}). Please use only a single monitor.`,
+      { screenX, screenY, bounds, reason }
+    );
+  }, []);
+
+  // Report extra displays found by the Window Management API
+  const reportMultipleDisplays = useCallback((count) => {
+    return emitViolation(
+      VIOLATION_TYPES.MULTIPLE_DISPLAYS,
+      `${count} displays are connected to this computer. Please disconnect additional monitors.`,
+      { count }
+    );
   }, []);
 
   // Handle mouse movement
@@ -53,7 +67,7 @@ export const useMouseTracker = (isActive = false, testCallback = null) => {
     // Always update current position for live tracking
     setCurrentMousePos({ screenX, screenY });
 
-    if (!isActive) return;
+    if (!isActive || !detectCursor) return;
     
           if (isOutOfBounds(screenX, screenY)) {
         // Clear existing timer
@@ -63,9 +77,8 @@ export const useMouseTracker = (isActive = false, testCallback = null) => {
 
         // Debounce detection to avoid false positives
         debounceTimerRef.current = setTimeout(() => {
-          const screenInfo = getScreenInfo();
-          showMultiMonitorPopup(screenX, screenY, screenInfo.availWidth, screenInfo.availHeight);
-        }, 300);
+          reportOutOfBounds(screenX, screenY, getScreenInfo().bounds);
+        }, debounceMs);
     } else {
       // Clear timer if back in bounds
       if (debounceTimerRef.current) {
@@ -73,7 +86,7 @@ export const useMouseTracker = (isActive = false, testCallback = null) => {
         debounceTimerRef.current = null;
       }
     }
-  }, [isActive, isOutOfBounds, showMultiMonitorPopup]);
+  }, [isActive, detectCursor, debounceMs, isOutOfBounds, reportOutOfBounds, getScreenInfo]);
 
   // Set up mouse tracking - always active for live coordinate display
   useEffect(() => {
@@ -89,15 +102,65 @@ export const useMouseTracker = (isActive = false, testCallback = null) => {
     };
   }, [handleMouseMove]);
 
+  // Use the Window Management API when available and permitted
+  useEffect(() => {
+    if (!isActive || !detectMultipleDisplays || typeof window === 'undefined' ||
+      typeof window.getScreenDetails !== 'function') {
+      return;
+    }
+
+    let cancelled = false;
+    let screenDetails = null;
+
+    const handleScreensChange = () => {
+      const count = screenDetails.screens.length;
+      setScreenCount(count);
+      if (count > 1) {
+        reportMultipleDisplays(count);
+      }
+    };
+
+    const startScreenDetection = async () => {
+      try {
+        // Unknown permission names throw in some browsers, so only honour an explicit denial
+        const permission = await navigator.permissions?.query({ name: 'window-management' }).catch(() => null);
+        if (permission?.state === 'denied') {
+          throw new Error('Window management permission denied');
+        }
+
+        screenDetails = await window.getScreenDetails();
+        if (cancelled) return;
+
+        setDetectionMode('window-management');
+        screenDetails.addEventListener('screenschange', handleScreensChange);
+        handleScreensChange();
+      } catch (error) {
+        console.warn('Window Management API unavailable, using cursor detection:', error);
+        if (!cancelled) {
+          setDetectionMode('cursor');
+          setScreenCount(null);
+        }
+      }
+    };
+
+    startScreenDetection();
+
+    return () => {
+      cancelled = true;
+      if (screenDetails) {
+        screenDetails.removeEventListener('screenschange', handleScreensChange);
+      }
+    };
+  }, [isActive, detectMultipleDisplays, reportMultipleDisplays]);
+
   // Function to test detection with custom coordinates
   const testDetection = useCallback((testScreenX, testScreenY) => {
     if (isOutOfBounds(testScreenX, testScreenY)) {
-      const screenInfo = getScreenInfo();
-      showMultiMonitorPopup(testScreenX, testScreenY, screenInfo.availWidth, screenInfo.availHeight);
+      reportOutOfBounds(testScreenX, testScreenY, getScreenInfo().bounds);
       return true;
     }
     return false;
-  }, [isOutOfBounds, showMultiMonitorPopup, getScreenInfo]);
+  }, [isOutOfBounds, reportOutOfBounds, getScreenInfo]);
 
   // Register test callback
   useEffect(() => {
@@ -109,7 +172,7 @@ export const useMouseTracker = (isActive = false, testCallback = null) => {
   return {
     // Simple return - just the tracking status and screen info
     isTracking: isActive,
-    screenInfo: getScreenInfo(),
+    screenInfo: { ...getScreenInfo(), detectionMode, screenCount },
     testDetection,
     currentMousePos
   };
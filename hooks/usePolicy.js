@@ -0,0 +1,75 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { DEFAULT_POLICY, validatePolicy } from '../lib/policy';
+import { NOTHING_OPEN } from '../lib/enforcement';
+import { getStoredSession } from '../lib/sessionClient';
+
+// Load the session policy from the server. A session still open on the server
+// (?session= and ?secret= from the host, or the one this tab had before a
+// reload) keeps its own policy, otherwise the policy new sessions get applies.
+// session is that open session's { id, secret }, or null; strikes are the
+// enforcement strikes it already has, openEnforcement the acknowledgment or
+// pause it left open, and ended is true once enforcement ended it. A policy
+// that cannot be loaded leaves status 'error' so the page can refuse to start.
+const EMPTY_STATE = {
+  policy: DEFAULT_POLICY,
+  session: null,
+  strikes: [],
+  openEnforcement: NOTHING_OPEN,
+  ended: false
+};
+
+export const usePolicy = () => {
+  const router = useRouter();
+  const [state, setState] = useState({ ...EMPTY_STATE, status: 'loading', error: null });
+
+  const requestedSession = router.query.session;
+  const requestedSecret = router.query.secret;
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    let cancelled = false;
+    setState(prev => ({ ...prev, status: 'loading', error: null }));
+
+    const load = async () => {
+      const session = typeof requestedSession === 'string' && requestedSession
+        ? { id: requestedSession, secret: typeof requestedSecret === 'string' ? requestedSecret : '' }
+        : getStoredSession();
+      try {
+        const query = session ? `?session=${encodeURIComponent(session.id)}` : '';
+        const response = await fetch(`/api/sessions/policy${query}`, {
+          headers: session ? { 'X-Session-Secret': session.secret } : {}
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(payload.error || `Policy request failed with status ${response.status}`);
+        }
+
+        // The server validates too, but never trust a policy the schema rejects
+        const { policy, errors } = validatePolicy(payload.policy);
+        if (errors) throw new Error(`Policy is invalid: ${errors.join('; ')}`);
+        if (cancelled) return;
+        setState({
+          policy,
+          session: payload.sessionId ? { id: payload.sessionId, secret: session.secret } : null,
+          strikes: Array.isArray(payload.strikes) ? payload.strikes : [],
+          openEnforcement: payload.openEnforcement || NOTHING_OPEN,
+          ended: payload.ended === true,
+          status: 'ready',
+          error: null
+        });
+      } catch (error) {
+        console.error('Could not load the session policy:', error);
+        if (!cancelled) setState({ ...EMPTY_STATE, status: 'error', error: error.message });
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [router.isReady, requestedSession, requestedSecret]);
+
+  return state;
+};
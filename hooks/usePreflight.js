@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from 'react';
+import { runPreflight } from '../lib/preflight';
+
+// Run the browser capability preflight on mount and whenever rerunKey changes
+// (e.g. the simulator swapped the providers). Returns { report, status, rerun }.
+export const usePreflight = (rerunKey = null) => {
+  const [state, setState] = useState({ report: null, status: 'running' });
+  const [runCount, setRunCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setState(prev => ({ ...prev, status: 'running' }));
+
+    runPreflight(window)
+      .then(report => {
+        if (!cancelled) setState({ report, status: 'ready' });
+      })
+      .catch(error => {
+        console.error('Preflight failed:', error);
+        if (!cancelled) setState({ report: null, status: 'error' });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [rerunKey, runCount]);
+
+  const rerun = useCallback(() => setRunCount(count => count + 1), []);
+
+  return { ...state, rerun };
+};
@@ -0,0 +1,80 @@
+import { useState, useEffect } from 'react';
+import { createSignalingChannel, forwardIceCandidates, RTC_CONFIGURATION } from '../lib/signalingClient';
+
+// Publish the validated stream to every proctor viewing this session, given
+// as the { id, secret } the session client holds
+export const useProctorStream = (stream, session, isActive = false) => {
+  const [viewerCount, setViewerCount] = useState(0);
+
+  useEffect(() => {
+    if (!isActive || !stream || !session || typeof RTCPeerConnection === 'undefined') return;
+
+    const connections = new Map(); // proctor peerId -> RTCPeerConnection
+    const syncCount = () => setViewerCount(connections.size);
+
+    const closeConnection = (peerId) => {
+      const connection = connections.get(peerId);
+      if (!connection) return;
+      connection.close();
+      connections.delete(peerId);
+      syncCount();
+    };
+
+    // The candidate always makes the offer, one connection per proctor
+    const connectProctor = async (peerId) => {
+      closeConnection(peerId);
+      const connection = new RTCPeerConnection(RTC_CONFIGURATION);
+      connections.set(peerId, connection);
+      syncCount();
+
+      stream.getTracks().forEach(track => connection.addTrack(track, stream));
+      forwardIceCandidates(connection, channel, peerId);
+      connection.addEventListener('connectionstatechange', () => {
+        if (connection.connectionState === 'failed') closeConnection(peerId);
+      });
+
+      const offer = await connection.createOffer();
+      await connection.setLocalDescription(offer);
+      channel.send(peerId, 'offer', connection.localDescription.toJSON());
+    };
+
+    const handleMessage = async (message) => {
+      try {
+        if (message.type === 'welcome') {
+          // A reconnect starts from scratch with whoever is watching now
+          Array.from(connections.keys()).forEach(closeConnection);
+          message.peers
+            .filter(peer => peer.role === 'proctor')
+            .forEach(peer => connectProctor(peer.peerId).catch(error => {
+              console.error('Proctor stream signaling failed:', error);
+            }));
+        } else if (message.type === 'peer-joined' && message.role === 'proctor') {
+          await connectProctor(message.peerId);
+        } else if (message.type === 'peer-left' || message.type === 'bye') {
+          closeConnection(message.peerId || message.from);
+        } else if (message.type === 'answer') {
+          await connections.get(message.from)?.setRemoteDescription(message.payload);
+        } else if (message.type === 'candidate') {
+          await connections.get(message.from)?.addIceCandidate(message.payload);
+        } else if (message.type === 'rejected') {
+          // Another tab already streams this session, or it was closed
+          console.warn('The server refused the proctor stream for this session');
+        }
+      } catch (error) {
+        console.error('Proctor stream signaling failed:', error);
+      }
+    };
+
+    const channel = createSignalingChannel(session.id, 'candidate', handleMessage, { secret: session.secret });
+
+    return () => {
+      // Closing the stream tells the server, which notifies the proctors
+      connections.forEach(connection => connection.close());
+      connections.clear();
+      channel.close();
+      setViewerCount(0);
+    };
+  }, [stream, session, isActive]);
+
+  return { viewerCount };
+};
@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import { createRecordingUploader } from '../lib/recordingUploader';
+
+// Length of each uploaded chunk
+const TIMESLICE_MS = 5000;
+
+// Preferred container/codec combinations, best first
+const MIME_CANDIDATES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+  'video/mp4'
+];
+
+export const pickRecorderMimeType = () => {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return MIME_CANDIDATES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+};
+
+// Record the validated stream in time-sliced chunks while enabled; getSession
+// resolves the { id, secret } of the server session the recording belongs to
+export const useRecorder = (stream, isActive = false, getSession = null) => {
+  const [recordingState, setRecordingState] = useState({ status: 'idle', uploaded: 0, pending: 0, recordingId: null });
+
+  useEffect(() => {
+    const track = stream?.getVideoTracks()[0];
+    if (!isActive || !track || track.readyState === 'ended') return;
+
+    const mimeType = pickRecorderMimeType();
+    if (mimeType === null) {
+      setRecordingState(prev => ({ ...prev, status: 'unsupported' }));
+      return;
+    }
+
+    let cancelled = false;
+    let recorder = null;
+
+    const start = async () => {
+      const session = getSession ? await getSession() : null;
+      if (cancelled) return;
+      // The server only stores recordings of an open session
+      if (!session) throw new Error('No server session to record');
+
+      const uploader = createRecordingUploader({
+        session,
+        mimeType: mimeType || 'video/webm',
+        onProgress: (progress) => setRecordingState(progress)
+      });
+
+      recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      recorder.addEventListener('dataavailable', (event) => uploader.addChunk(event.data));
+
+      // The last chunk is delivered before 'stop', so finalize afterwards
+      recorder.addEventListener('stop', () => {
+        uploader.finish()
+          .then(recording => console.log('🎞️ Recording finalized:', recording))
+          .catch(error => {
+            console.error('Could not finalize recording:', error);
+            setRecordingState(prev => ({ ...prev, status: 'failed' }));
+          });
+      });
+
+      recorder.start(TIMESLICE_MS);
+      setRecordingState(prev => ({ ...prev, status: 'recording' }));
+    };
+
+    const stopRecorder = () => {
+      if (recorder && recorder.state !== 'inactive') {
+        recorder.stop();
+      }
+    };
+
+    // Stop cleanly when the user ends the share from the browser UI
+    track.addEventListener('ended', stopRecorder);
+    start().catch(error => {
+      console.error('Could not start recording:', error);
+      setRecordingState(prev => ({ ...prev, status: 'failed' }));
+    });
+
+    return () => {
+      cancelled = true;
+      track.removeEventListener('ended', stopRecorder);
+      stopRecorder();
+    };
+  }, [stream, isActive, getSession]);
+
+  return recordingState;
+};
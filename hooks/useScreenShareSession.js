@@ -0,0 +1,328 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { useTrackMonitor } from './useTrackMonitor';
+import {
+  validateDisplaySurface,
+  getErrorMessage,
+  getScreenSize,
+  checkScreenConsistency,
+  getConsistencyErrorMessage
+} from '../lib/screenShareValidation';
+import { requestDisplayMedia } from '../lib/displayMediaOptions';
+import { SESSION_STATES, SESSION_ACTIONS, getNextState, canTransition } from '../lib/screenShareMachine';
+import { logEvent, LOG_EVENT_TYPES } from '../lib/sessionLog';
+import { DEFAULT_POLICY } from '../lib/policy';
+import { checkAudioTracks, getAudioErrorMessage } from '../lib/audioCheck';
+
+// Write a validation result (label, settings, decision) to the session log.
+// audio is only checked, and only present, when the policy requires it.
+// Capabilities and screen size go with it so the server can judge the share itself.
+const logValidation = (trigger, track, validation, consistency = null, audio = null) => {
+  const isAccepted = validation.isValid &&
+    (consistency ? consistency.isConsistent : true) &&
+    (audio ? audio.isValid : true);
+  return logEvent(LOG_EVENT_TYPES.VALIDATION, {
+    trigger,
+    label: track?.label || '',
+    settings: typeof track?.getSettings === 'function' ? track.getSettings() : {},
+    capabilities: typeof track?.getCapabilities === 'function' ? track.getCapabilities() : {},
+    screen: getScreenSize(),
+    decision: isAccepted ? 'accepted' : 'rejected',
+    surface: validation.surface,
+    signal: validation.signal,
+    confidence: validation.confidence,
+    consistency,
+    ...(audio && { audio })
+  });
+};
+
+const stopStream = (stream) => stream?.getTracks().forEach(track => track.stop());
+
+const getLockoutMessage = (lockedUntil) => (lockedUntil === Infinity
+  ? '🔒 Too many failed attempts. Screen sharing is locked for this session.'
+  : `🔒 Too many failed attempts. You can try again at ${new Date(lockedUntil).toLocaleTimeString()}.`);
+
+const REQUEST_ERRORS = {
+  NotAllowedError: ['permission', '❌ Screen sharing permission denied. Please allow access and try again.'],
+  NotSupportedError: ['unsupported', '❌ Screen sharing is not supported in this browser. See the browser check for details.']
+};
+
+// Headless screen share flow: request, validate, monitor and restart a share.
+// UI-agnostic; pages render whatever they like from the returned state.
+//
+// Options:
+//   policy    session policy (allowed surfaces, audio, attempts and lockout)
+//   isReady   false blocks new requests, e.g. while the policy loads
+//   onStart   () => promise of { count, locked, lockedUntil } or null, runs when a
+//             request passes its guards. The server's count and lockout win over the
+//             local ones, so a reload cannot reset them; null keeps the local count.
+//   onReport  (type, data) => promise, receives validation, interruption and error events
+//   onAccepted (stream, recorded) => void, runs once a share is accepted; recorded
+//             is whatever onReport returned for the accepted validation
+export const useScreenShareSession = ({
+  policy = DEFAULT_POLICY,
+  isReady = true,
+  onStart = () => {},
+  onReport = () => {},
+  onAccepted = () => {}
+} = {}) => {
+  const [state, setState] = useState(SESSION_STATES.INSTRUCTIONS);
+  const [stream, setStream] = useState(null);
+  const [attempts, setAttempts] = useState(0);
+  const [attemptLog, setAttemptLog] = useState([]); // Options applied for each request
+  const [lastError, setLastError] = useState(null); // { reason, message }
+  const [lockedUntil, setLockedUntil] = useState(null); // Timestamp, or Infinity for the rest of the session
+  const [monitoringEnabled, setMonitoringEnabled] = useState(true);
+
+  // Guards read the current state synchronously, so double clicks cannot slip through
+  const stateRef = useRef(state);
+  const streamRef = useRef(null);
+  const attemptsRef = useRef(0);
+  const mountedRef = useRef(true);
+
+  const transition = useCallback((action) => {
+    const next = getNextState(stateRef.current, action);
+    if (!next) return false;
+    stateRef.current = next;
+    setState(next);
+    return true;
+  }, []);
+
+  const replaceStream = useCallback((nextStream) => {
+    if (streamRef.current && streamRef.current !== nextStream) stopStream(streamRef.current);
+    streamRef.current = nextStream;
+    setStream(nextStream);
+  }, []);
+
+  const updateAttempts = (count) => {
+    attemptsRef.current = count;
+    setAttempts(count);
+  };
+
+  // Release the capture when the component using the session goes away
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      stopStream(streamRef.current);
+    };
+  }, []);
+
+  const isLocked = lockedUntil !== null;
+
+  // A lockout with a duration lifts itself and starts the attempt count over
+  useEffect(() => {
+    if (lockedUntil === null || lockedUntil === Infinity) return;
+    const timer = setTimeout(() => {
+      setLockedUntil(null);
+      attemptsRef.current = 0;
+      setAttempts(0);
+    }, Math.max(0, lockedUntil - Date.now()));
+    return () => clearTimeout(timer);
+  }, [lockedUntil]);
+
+  // Keep track of which picker hints were applied for each request
+  const recordAttempt = (applied, dropped) => {
+    setAttemptLog(prev => [...prev, { applied, dropped, timestamp: Date.now() }]);
+  };
+
+  // Show the rejection and lock further attempts once the policy's limit is used up
+  const reject = (reason, message) => {
+    const attempt = attemptsRef.current;
+    const { max, lockoutMs } = policy.attempts;
+    if (max !== null && attempt >= max) {
+      const until = lockoutMs === null ? Infinity : Date.now() + lockoutMs;
+      setLockedUntil(until);
+      onReport(LOG_EVENT_TYPES.ERROR, logEvent(LOG_EVENT_TYPES.ERROR, {
+        name: 'AttemptsExhausted',
+        message: `Locked out after ${attempt} failed attempts`,
+        lockedUntil: until === Infinity ? null : new Date(until).toISOString()
+      }).data);
+    }
+    setLastError({ reason, message });
+    transition(SESSION_ACTIONS.REJECT);
+  };
+
+  // Open the picker and validate what was shared. Also used to retry after a
+  // rejection and to reshare after an interruption; returns false when refused.
+  const start = async () => {
+    if (!isReady || isLocked || !canTransition(stateRef.current, SESSION_ACTIONS.REQUEST)) return false;
+
+    replaceStream(null);
+    setLastError(null);
+    updateAttempts(attemptsRef.current + 1);
+    transition(SESSION_ACTIONS.REQUEST);
+
+    const attempt = await onStart();
+    if (!mountedRef.current) return false;
+    if (attempt) {
+      updateAttempts(attempt.count);
+      if (attempt.locked) {
+        const until = attempt.lockedUntil ? new Date(attempt.lockedUntil).getTime() : Infinity;
+        setLockedUntil(until);
+        setLastError({ reason: 'locked', message: getLockoutMessage(until) });
+        transition(SESSION_ACTIONS.REJECT);
+        return true;
+      }
+    }
+
+    try {
+      // Request screen sharing, steering the picker toward the entire screen
+      const request = await requestDisplayMedia(navigator.mediaDevices, window, { audio: policy.audio.required });
+      const mediaStream = request.stream;
+
+      // The picker may resolve after the page using the session has gone
+      if (!mountedRef.current) {
+        stopStream(mediaStream);
+        return false;
+      }
+      recordAttempt(request.applied, request.dropped);
+
+      // Get the video track and validate the shared surface
+      const videoTrack = mediaStream.getVideoTracks()[0];
+      const validation = validateDisplaySurface(videoTrack, getScreenSize(), policy);
+
+      console.log('Validation result:', validation); // Debug log
+
+      if (!validation.isValid) {
+        onReport(LOG_EVENT_TYPES.VALIDATION, logValidation('request', videoTrack, validation).data);
+        stopStream(mediaStream);
+        reject('surface', getErrorMessage(validation, policy.allowedSurfaces));
+        return true;
+      }
+
+      // Make sure a shared monitor is the one this window is on; other surfaces have nothing to compare
+      const consistency = validation.surface === 'monitor'
+        ? checkScreenConsistency(videoTrack, getScreenSize())
+        : { isConsistent: true, reason: null, details: {} };
+
+      console.log('Screen consistency:', consistency); // Debug log
+
+      // A skipped "share system audio" checkbox leaves the stream without an audio track
+      const audio = policy.audio.required ? checkAudioTracks(mediaStream) : null;
+      const recorded = onReport(
+        LOG_EVENT_TYPES.VALIDATION,
+        logValidation('request', videoTrack, validation, consistency, audio).data
+      );
+
+      if (!consistency.isConsistent) {
+        stopStream(mediaStream);
+        reject('consistency', getConsistencyErrorMessage(consistency));
+        return true;
+      }
+
+      if (audio && !audio.isValid) {
+        stopStream(mediaStream);
+        reject('audio', getAudioErrorMessage(audio.issue));
+        return true;
+      }
+
+      replaceStream(mediaStream);
+      transition(SESSION_ACTIONS.ACCEPT);
+      onAccepted(mediaStream, recorded);
+    } catch (error) {
+      console.error('Screen sharing error:', error);
+      recordAttempt(error.applied || [], error.dropped || []);
+      const entry = logEvent(LOG_EVENT_TYPES.ERROR, { name: error.name, message: error.message });
+      onReport(LOG_EVENT_TYPES.ERROR, entry.data);
+
+      const [reason, message] = REQUEST_ERRORS[error.name] ||
+        ['request-failed', '❌ An error occurred while requesting screen share. Please try again.'];
+      reject(reason, message);
+    }
+    return true;
+  };
+
+  // Back to the instructions after a rejection, keeping the attempt count
+  const dismiss = () => transition(SESSION_ACTIONS.DISMISS);
+
+  // Stop the current stream and start over; refused while the picker is open.
+  // Only an accepted share starts the attempt count over.
+  const restart = () => {
+    const wasAccepted = stateRef.current === SESSION_STATES.SUCCESS || stateRef.current === SESSION_STATES.INTERRUPTED;
+    if (!transition(SESSION_ACTIONS.RESET)) return false;
+    replaceStream(null);
+    setLastError(null);
+    if (wasAccepted) {
+      updateAttempts(0);
+      setAttemptLog([]);
+    }
+    return true;
+  };
+
+  // End the session for good and stop the stream; only from a live or interrupted share
+  const end = (reason, message) => {
+    if (!transition(SESSION_ACTIONS.END)) return false;
+    replaceStream(null);
+    setLastError({ reason, message });
+    return true;
+  };
+
+  // Resume an interrupted share once video, and audio when required, flow again
+  const resumeIfHealthy = useCallback(() => {
+    if (stateRef.current !== SESSION_STATES.INTERRUPTED) return;
+    const isFlowing = (track) => Boolean(track) && track.readyState === 'live' && !track.muted;
+    const videoTrack = streamRef.current?.getVideoTracks()[0];
+    if (!isFlowing(videoTrack) || !validateDisplaySurface(videoTrack, getScreenSize(), policy).isValid) return;
+    if (policy.audio.required && !isFlowing(streamRef.current.getAudioTracks()[0])) return;
+    setLastError(null);
+    transition(SESSION_ACTIONS.RESUME);
+  }, [policy, transition]);
+
+  // Keep validating the live tracks once the share has been accepted
+  const handleTrackChange = useCallback(({ type, validation, track }) => {
+    let message;
+    if (type === 'audio-unmute') {
+      resumeIfHealthy();
+      return;
+    } else if (type === 'audio-mute') {
+      message = '🔇 Your shared system audio stopped. Please share your entire screen with system audio again.';
+    } else if (type === 'audio-ended') {
+      message = '⛔ System audio sharing was stopped. Please share your entire screen with system audio again.';
+    } else {
+      onReport(LOG_EVENT_TYPES.VALIDATION, logValidation(`track-${type}`, track, validation).data);
+
+      if (type === 'unmute' || type === 'settingschange') {
+        if (validation.isValid) {
+          resumeIfHealthy();
+          return;
+        }
+        message = `${getErrorMessage(validation, policy.allowedSurfaces)} Sharing was interrupted.`;
+      } else if (type === 'mute') {
+        message = '⏸️ Your shared screen stopped sending video. Please share your entire screen again.';
+      } else {
+        message = '⛔ Screen sharing was stopped. Please share your entire screen again to continue.';
+      }
+    }
+
+    setLastError({ reason: type, message });
+    transition(SESSION_ACTIONS.INTERRUPT);
+    onReport(LOG_EVENT_TYPES.INTERRUPTION, logEvent(LOG_EVENT_TYPES.INTERRUPTION, { reason: type, message }).data);
+  }, [onReport, policy, transition, resumeIfHealthy]);
+
+  useTrackMonitor(
+    stream,
+    state === SESSION_STATES.SUCCESS || state === SESSION_STATES.INTERRUPTED,
+    handleTrackChange,
+    policy
+  );
+
+  return {
+    state,
+    stream,
+    attempts,
+    attemptLog,
+    lastError,
+    lockedUntil,
+    isLocked,
+    monitoringEnabled,
+    setMonitoringEnabled,
+    toggleMonitoring: () => setMonitoringEnabled(prev => !prev),
+    start,
+    retry: start,
+    reshare: start,
+    dismiss,
+    restart,
+    end,
+    can: (action) => canTransition(state, action)
+  };
+};
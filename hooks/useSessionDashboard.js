@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react';
+import { createSessionStatus, applySessionEvent } from '../lib/sessionStatus';
+
+// Live status of every active session, fed by /api/sessions/live. Nothing is
+// loaded without the proctor token; isRejected is true once the server refused it.
+export const useSessionDashboard = (token) => {
+  const [sessions, setSessions] = useState({});
+  const [isConnected, setIsConnected] = useState(false);
+  const [isRejected, setIsRejected] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+    setIsRejected(false);
+
+    const source = new EventSource(`/api/sessions/live?${new URLSearchParams({ token })}`);
+
+    source.onopen = () => setIsConnected(true);
+    source.onerror = () => {
+      setIsConnected(false);
+      // An error response closes the stream; otherwise EventSource reconnects
+      // on its own and the server sends a new snapshot
+      if (source.readyState === EventSource.CLOSED) {
+        setSessions({});
+        setIsRejected(true);
+      }
+    };
+
+    source.onmessage = (message) => {
+      const payload = JSON.parse(message.data);
+
+      if (payload.type === 'snapshot') {
+        setSessions(Object.fromEntries(payload.sessions.map(status => [status.id, status])));
+        return;
+      }
+
+      const { sessionId, type, timestamp } = payload.event;
+      setSessions(prev => {
+        const current = prev[sessionId] || createSessionStatus({ id: sessionId, createdAt: timestamp });
+        const next = applySessionEvent(current, payload.event);
+        const { [sessionId]: removed, ...rest } = prev;
+        // Finished sessions leave the dashboard
+        return type === 'session.finalized' ? rest : { ...rest, [sessionId]: next };
+      });
+    };
+
+    return () => source.close();
+  }, [token]);
+
+  return {
+    sessions: Object.values(sessions).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    isConnected,
+    isRejected
+  };
+};
@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+import { getSessionLog, onSessionLogChange } from '../lib/sessionLog';
+
+// Live view of the persisted session log
+export const useSessionLog = () => {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    // Storage is only available in the browser, so load after mount
+    setEntries(getSessionLog());
+    return onSessionLogChange(setEntries);
+  }, []);
+
+  return entries;
+};
@@ -0,0 +1,24 @@
+import { useEffect } from 'react';
+import { useRouter } from 'next/router';
+import {
+  isSimulatorEnabled,
+  getScenario,
+  installSimulator,
+  DEFAULT_SIMULATOR_SCENARIO
+} from '../lib/simulator';
+
+// Install the simulator scenario named by ?simulate= (or the configured default).
+// Returns the active scenario name, or null when the simulator is off.
+export const useSimulator = () => {
+  const router = useRouter();
+  const requested = router.query.simulate || DEFAULT_SIMULATOR_SCENARIO;
+  const scenarioName = isSimulatorEnabled() && getScenario(requested) ? requested : null;
+
+  useEffect(() => {
+    if (!scenarioName) return;
+    console.warn(`🧪 Simulator active: "${scenarioName}"`);
+    return installSimulator(getScenario(scenarioName));
+  }, [scenarioName]);
+
+  return scenarioName;
+};
@@ -0,0 +1,52 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createSnapshotService, DEFAULT_SNAPSHOT_OPTIONS } from '../lib/snapshots';
+import { onViolation } from '../lib/violations';
+import { logEvent, LOG_EVENT_TYPES } from '../lib/sessionLog';
+
+// Thumbnails kept in memory for the gallery
+const MAX_GALLERY_SIZE = 12;
+
+// Capture snapshots on an interval and immediately on every violation
+export const useSnapshots = (stream, isActive = false, options = DEFAULT_SNAPSHOT_OPTIONS) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const serviceRef = useRef(null);
+
+  const { intervalMs, format, width, quality } = { ...DEFAULT_SNAPSHOT_OPTIONS, ...options };
+
+  const capture = useCallback(async (reason, details) => {
+    if (!serviceRef.current) return null;
+    const snapshot = await serviceRef.current.capture(reason, details);
+    if (!snapshot) return null;
+
+    setSnapshots(prev => [snapshot, ...prev].slice(0, MAX_GALLERY_SIZE));
+    logEvent(LOG_EVENT_TYPES.SNAPSHOT, snapshot);
+    return snapshot;
+  }, []);
+
+  useEffect(() => {
+    if (!isActive || !stream) return;
+
+    serviceRef.current = createSnapshotService(stream, { format, width, quality });
+    const timer = setInterval(() => capture('interval'), intervalMs);
+    const unsubscribe = onViolation(violation => {
+      capture('violation', { violationType: violation.type, violationId: violation.id });
+    });
+
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+      serviceRef.current.dispose();
+      serviceRef.current = null;
+    };
+  }, [stream, isActive, intervalMs, format, width, quality, capture]);
+
+  // Start each share with an empty gallery
+  useEffect(() => {
+    setSnapshots([]);
+  }, [stream]);
+
+  return {
+    snapshots,
+    captureNow: () => capture('manual')
+  };
+};
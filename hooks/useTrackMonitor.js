@@ -0,0 +1,109 @@
+import { useEffect, useRef } from 'react';
+import { validateDisplaySurface, getScreenSize } from '../lib/screenShareValidation';
+import { DEFAULT_POLICY } from '../lib/policy';
+
+// How often to compare track settings on browsers without a change event
+const SETTINGS_POLL_INTERVAL = 1000;
+
+// Fields that identify the captured surface
+const settingsKey = (track) => {
+  const settings = typeof track.getSettings === 'function' ? track.getSettings() : {};
+  return [settings.displaySurface, settings.deviceId, settings.width, settings.height].join('|');
+};
+
+// Watch a live video track and re-validate it whenever it changes. When the
+// policy requires audio, the audio track's ended, mute and unmute events are
+// reported too, as 'audio-ended', 'audio-mute' and 'audio-unmute' (validation null).
+export const useTrackMonitor = (stream, isActive = false, onChange = null, policy = DEFAULT_POLICY) => {
+  const onChangeRef = useRef(onChange);
+  const policyRef = useRef(policy);
+
+  // Keep the latest callback and policy without re-attaching listeners
+  useEffect(() => {
+    onChangeRef.current = onChange;
+    policyRef.current = policy;
+  }, [onChange, policy]);
+
+  useEffect(() => {
+    const track = stream?.getVideoTracks()[0];
+    if (!isActive || !track) return;
+
+    let lastKey = settingsKey(track);
+
+    const report = (type) => {
+      const validation = validateDisplaySurface(track, getScreenSize(), policyRef.current);
+      console.log(`📡 Track ${type}:`, validation);
+      if (onChangeRef.current) {
+        onChangeRef.current({ type, validation, track });
+      }
+    };
+
+    const handleEnded = () => report('ended');
+    const handleMute = () => report('mute');
+    const handleUnmute = () => report('unmute');
+
+    // Fires when the user switches surfaces or the captured size changes
+    const checkSettings = () => {
+      if (track.readyState === 'ended') return;
+      const key = settingsKey(track);
+      if (key !== lastKey) {
+        lastKey = key;
+        report('settingschange');
+      }
+    };
+
+    track.addEventListener('ended', handleEnded);
+    track.addEventListener('mute', handleMute);
+    track.addEventListener('unmute', handleUnmute);
+    track.addEventListener('configurationchange', checkSettings);
+    const pollTimer = setInterval(checkSettings, SETTINGS_POLL_INTERVAL);
+
+    // The track may have ended before listeners were attached
+    if (track.readyState === 'ended') {
+      handleEnded();
+    }
+
+    return () => {
+      track.removeEventListener('ended', handleEnded);
+      track.removeEventListener('mute', handleMute);
+      track.removeEventListener('unmute', handleUnmute);
+      track.removeEventListener('configurationchange', checkSettings);
+      clearInterval(pollTimer);
+    };
+  }, [stream, isActive]);
+
+  const audioRequired = policy.audio.required;
+
+  useEffect(() => {
+    const track = stream?.getAudioTracks()[0];
+    if (!isActive || !audioRequired || !track) return;
+
+    const report = (type) => {
+      console.log(`📡 Audio track ${type}`);
+      if (onChangeRef.current) {
+        onChangeRef.current({ type: `audio-${type}`, validation: null, track });
+      }
+    };
+
+    const handleEnded = () => report('ended');
+    const handleMute = () => report('mute');
+    const handleUnmute = () => report('unmute');
+
+    track.addEventListener('ended', handleEnded);
+    track.addEventListener('mute', handleMute);
+    track.addEventListener('unmute', handleUnmute);
+
+    // The track may have stopped before listeners were attached
+    if (track.readyState === 'ended') {
+      handleEnded();
+    } else if (track.muted) {
+      handleMute();
+    }
+
+    return () => {
+      track.removeEventListener('ended', handleEnded);
+      track.removeEventListener('mute', handleMute);
+      track.removeEventListener('unmute', handleUnmute);
+    };
+  }, [stream, isActive, audioRequired]);
+};
@@ -0,0 +1,85 @@
+// System audio checks for policies that require audio with the share: the
+// track must have arrived and be live, and a short level check shows whether
+// any sound is coming through.
+
+export const AUDIO_TRACK_ISSUES = {
+  MISSING: 'missing',
+  ENDED: 'ended',
+  MUTED: 'muted'
+};
+
+// Levels below this (0..1 RMS) count as silence
+export const SILENCE_THRESHOLD = 0.01;
+
+// Check the audio tracks that came with a share
+export const checkAudioTracks = (stream) => {
+  const tracks = stream?.getAudioTracks?.() || [];
+  const track = tracks.find(candidate => candidate.readyState === 'live' && !candidate.muted) || tracks[0];
+  let issue = null;
+
+  if (!track) {
+    issue = AUDIO_TRACK_ISSUES.MISSING;
+  } else if (track.readyState !== 'live') {
+    issue = AUDIO_TRACK_ISSUES.ENDED;
+  } else if (track.muted) {
+    issue = AUDIO_TRACK_ISSUES.MUTED;
+  }
+
+  return {
+    isValid: issue === null,
+    issue,
+    trackCount: tracks.length,
+    readyState: track?.readyState || null,
+    muted: Boolean(track?.muted),
+    label: track?.label || '',
+    settings: typeof track?.getSettings === 'function' ? track.getSettings() : {}
+  };
+};
+
+export const getAudioErrorMessage = (issue) => {
+  if (issue === AUDIO_TRACK_ISSUES.MISSING) {
+    return '🔊 This session requires system audio, but none was shared. Please share your entire screen again and tick "Share system audio" in the picker.';
+  }
+  if (issue === AUDIO_TRACK_ISSUES.ENDED) {
+    return '🔇 The shared system audio stopped before the check. Please share your entire screen again with system audio.';
+  }
+  return '🔇 The shared system audio is muted. Please share your entire screen again with system audio enabled.';
+};
+
+// RMS level (0..1) of unsigned 8-bit time-domain samples centred on 128
+export const getRmsLevel = (samples) => {
+  if (!samples?.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const value = (samples[i] - 128) / 128;
+    sum += value * value;
+  }
+  return Math.sqrt(sum / samples.length);
+};
+
+// Browser only: read the level of a stream's audio. Returns null when the
+// stream has no audio or the browser has no AudioContext.
+export const createLevelMeter = (stream, AudioContextImpl = globalThis.AudioContext || globalThis.webkitAudioContext) => {
+  if (!AudioContextImpl || !stream?.getAudioTracks().length) return null;
+
+  const context = new AudioContextImpl();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 512;
+  source.connect(analyser);
+  const samples = new Uint8Array(analyser.fftSize);
+
+  // Contexts created outside a user gesture start suspended
+  if (context.state === 'suspended') context.resume().catch(() => {});
+
+  return {
+    getLevel: () => {
+      analyser.getByteTimeDomainData(samples);
+      return getRmsLevel(samples);
+    },
+    close: () => {
+      source.disconnect();
+      context.close().catch(() => {});
+    }
+  };
+};
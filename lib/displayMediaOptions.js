@@ -0,0 +1,90 @@
+// Builds getDisplayMedia() options that steer the picker toward entire-screen
+// capture, and retries without hints a browser refuses.
+
+// Optional hints, least important last so they are dropped first
+const HINT_ORDER = ['displaySurface', 'selfBrowserSurface', 'surfaceSwitching', 'monitorTypeSurfaces'];
+
+// Errors that mean the options were rejected rather than the user declining
+const OPTION_ERRORS = ['TypeError', 'OverconstrainedError', 'NotSupportedError'];
+
+// Detect which picker hints the current browser understands
+export const detectSupportedHints = (mediaDevices, globalScope) => {
+  const supported = {};
+  const constraints = typeof mediaDevices?.getSupportedConstraints === 'function'
+    ? mediaDevices.getSupportedConstraints()
+    : {};
+
+  supported.displaySurface = Boolean(constraints.displaySurface);
+
+  // The top-level picker options shipped alongside CaptureController in Chromium
+  const hasCaptureController = Boolean(globalScope && 'CaptureController' in globalScope);
+  supported.selfBrowserSurface = hasCaptureController;
+  supported.surfaceSwitching = hasCaptureController;
+  supported.monitorTypeSurfaces = hasCaptureController;
+
+  return supported;
+};
+
+// Build the options object from the detected hints
+export const buildDisplayMediaOptions = (supported, hints = HINT_ORDER, { audio = false } = {}) => {
+  const options = { video: true, audio };
+  const applied = [];
+
+  for (const hint of hints) {
+    if (!supported[hint]) continue;
+
+    if (hint === 'displaySurface') {
+      options.video = { displaySurface: 'monitor' };
+    } else if (hint === 'selfBrowserSurface') {
+      options.selfBrowserSurface = 'exclude';
+    } else if (hint === 'surfaceSwitching') {
+      options.surfaceSwitching = 'exclude';
+    } else if (hint === 'monitorTypeSurfaces') {
+      options.monitorTypeSurfaces = 'include';
+    }
+    applied.push(hint);
+  }
+
+  return { options, applied };
+};
+
+// Pick the hint to drop after a rejection, preferring one the error names
+const pickHintToDrop = (error, applied) => {
+  const message = error?.message || '';
+  const named = applied.find(hint => message.includes(hint));
+  return named || applied[applied.length - 1];
+};
+
+// Request a display stream, retrying without each hint the browser rejects.
+// With audio set, the picker also offers to share system audio.
+export const requestDisplayMedia = async (mediaDevices, globalScope, { audio = false } = {}) => {
+  if (typeof mediaDevices?.getDisplayMedia !== 'function') {
+    const error = new Error('getDisplayMedia is not available');
+    error.name = 'NotSupportedError';
+    throw error;
+  }
+
+  const supported = detectSupportedHints(mediaDevices, globalScope);
+  let hints = HINT_ORDER.filter(hint => supported[hint]);
+  const dropped = [];
+
+  while (true) {
+    const { options, applied } = buildDisplayMediaOptions(supported, hints, { audio });
+
+    try {
+      const stream = await mediaDevices.getDisplayMedia(options);
+      return { stream, options, applied, dropped };
+    } catch (error) {
+      if (!OPTION_ERRORS.includes(error?.name) || applied.length === 0) {
+        error.applied = applied;
+        error.dropped = dropped;
+        throw error;
+      }
+
+      const hint = pickHintToDrop(error, applied);
+      console.warn(`getDisplayMedia rejected options, retrying without "${hint}":`, error);
+      dropped.push({ hint, error: error.name });
+      hints = hints.filter(h => h !== hint);
+    }
+  }
+};
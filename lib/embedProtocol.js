@@ -0,0 +1,65 @@
+// postMessage protocol between the embedded validator (iframe) and its host.
+// public/embed-sdk.js mirrors these names for host pages.
+
+// Marks messages sent by the validator iframe
+export const VALIDATOR_SOURCE = 'screen-share-validator';
+
+// Marks messages sent by the host page
+export const HOST_SOURCE = 'screen-share-validator-host';
+
+// Messages posted to the host
+export const EMBED_EVENTS = {
+  READY: 'ready',
+  STATE_CHANGE: 'state-change',
+  VALIDATION: 'validation',
+  VIOLATION: 'violation',
+  INTERRUPTION: 'interruption',
+  ERROR: 'error',
+  ATTESTATION: 'attestation',
+  ENFORCEMENT: 'enforcement',
+  COMPLETED: 'completed'
+};
+
+// Commands accepted from the host
+export const EMBED_COMMANDS = {
+  START: 'start',
+  RESTART: 'restart',
+  STOP_MONITORING: 'stop-monitoring',
+  START_MONITORING: 'start-monitoring'
+};
+
+// Host origins allowed to embed the validator, from a comma-separated list
+export const parseAllowedOrigins = (value) =>
+  (value || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+export const getAllowedOrigins = () =>
+  parseAllowedOrigins(process.env.NEXT_PUBLIC_EMBED_ALLOWED_ORIGINS);
+
+export const isOriginAllowed = (origin, allowedOrigins = getAllowedOrigins()) =>
+  Boolean(origin) && allowedOrigins.includes(origin);
+
+// Work out which page embeds us; only trusted if it is on the allow-list
+export const resolveHostOrigin = (win, allowedOrigins = getAllowedOrigins()) => {
+  if (!win || win.parent === win) return null;
+
+  const candidates = [];
+  const requested = new URLSearchParams(win.location.search).get('hostOrigin');
+  if (requested) candidates.push(requested);
+  if (win.location.ancestorOrigins?.length) candidates.push(win.location.ancestorOrigins[0]);
+  if (win.document.referrer) {
+    try {
+      candidates.push(new URL(win.document.referrer).origin);
+    } catch (error) {
+      // Ignore malformed referrers
+    }
+  }
+
+  // When the browser reports the real parent, it has to agree with the request
+  const actualParent = win.location.ancestorOrigins?.[0];
+  return candidates.find(origin =>
+    isOriginAllowed(origin, allowedOrigins) && (!actualParent || actualParent === origin)
+  ) || null;
+};
@@ -0,0 +1,101 @@
+// Strike counting and escalation for repeated violations. Each violation type
+// collects its own strikes; repeats inside the grace period count once, and
+// the strike count decides the step: warn, acknowledge, pause, then end.
+
+export const ENFORCEMENT_LEVELS = {
+  WARN: 'warn',
+  ACKNOWLEDGE: 'acknowledge',
+  PAUSE: 'pause',
+  END: 'end'
+};
+
+// Mildest first
+export const ENFORCEMENT_ORDER = [
+  ENFORCEMENT_LEVELS.WARN,
+  ENFORCEMENT_LEVELS.ACKNOWLEDGE,
+  ENFORCEMENT_LEVELS.PAUSE,
+  ENFORCEMENT_LEVELS.END
+];
+
+// -1 for no level, so any level outranks it
+export const getLevelRank = (level) => ENFORCEMENT_ORDER.indexOf(level);
+
+// The most severe level whose threshold the strike count has reached, or null
+export const getLevelForStrikes = (strikes, thresholds) =>
+  [...ENFORCEMENT_ORDER].reverse().find(level =>
+    thresholds[level] !== null && thresholds[level] !== undefined && strikes >= thresholds[level]
+  ) || null;
+
+// Strike count at which the next level starts, or null when none is left
+export const getNextThreshold = (strikes, thresholds) => {
+  const next = ENFORCEMENT_ORDER
+    .map(level => ({ level, at: thresholds[level] }))
+    .find(({ at }) => at !== null && at !== undefined && at > strikes);
+  return next || null;
+};
+
+// Options: thresholds (strikes per level, null skips a level), graceMs and
+// strikeWindowMs (strikes older than this stop counting; null never expires)
+export const createEnforcementEngine = ({ thresholds, graceMs = 0, strikeWindowMs = null }) => {
+  const strikes = {}; // Violation type -> timestamps of counted strikes
+  const reached = {}; // Violation type -> most severe level reached so far
+
+  const getStrikes = (type, now) => {
+    const history = strikes[type] || [];
+    return strikeWindowMs === null ? history : history.filter(timestamp => now - timestamp < strikeWindowMs);
+  };
+
+  // Count a violation; returns { type, counted, strikes, level, escalated }.
+  // escalated is true the first time a type reaches a more severe level.
+  const record = (type, timestamp = Date.now()) => {
+    const history = getStrikes(type, timestamp);
+    const last = history[history.length - 1];
+
+    if (last !== undefined && timestamp - last < graceMs) {
+      strikes[type] = history;
+      return { type, counted: false, strikes: history.length, level: getLevelForStrikes(history.length, thresholds), escalated: false };
+    }
+
+    strikes[type] = [...history, timestamp];
+    const count = strikes[type].length;
+    const level = getLevelForStrikes(count, thresholds);
+    const escalated = getLevelRank(level) > getLevelRank(reached[type] || null);
+    if (escalated) reached[type] = level;
+    return { type, counted: true, strikes: count, level, escalated };
+  };
+
+  // Current strikes and level of every type seen, for display
+  const getState = (now = Date.now()) => Object.keys(strikes).map(type => {
+    const count = getStrikes(type, now).length;
+    return { type, strikes: count, level: getLevelForStrikes(count, thresholds), next: getNextThreshold(count, thresholds) };
+  });
+
+  // Forget every strike, e.g. when a new session starts
+  const reset = () => {
+    Object.keys(strikes).forEach(type => delete strikes[type]);
+    Object.keys(reached).forEach(type => delete reached[type]);
+  };
+
+  return { record, getState, reset };
+};
+
+export const NOTHING_OPEN = { awaitingAcknowledgment: null, pausedUntil: null };
+
+// Replay the enforcement actions a session reported ({ action, level,
+// violationType, strikes, pausedUntil }), oldest first, to find what was still
+// open when the page went away: the acknowledgment it waited for ({ type,
+// strikes, level }) and the end of its pause (ms), each null when none was.
+export const findOpenEnforcement = (actions) => actions.reduce((open, { action, level, violationType, strikes, pausedUntil }) => {
+  if (action === 'acknowledged') return { ...open, awaitingAcknowledgment: null };
+  if (action === 'resumed') return { ...open, pausedUntil: null };
+  if (action !== 'strike') return open;
+
+  if (level === ENFORCEMENT_LEVELS.ACKNOWLEDGE) {
+    return { ...open, awaitingAcknowledgment: { type: violationType, strikes, level } };
+  }
+  if (level === ENFORCEMENT_LEVELS.PAUSE) {
+    const until = Date.parse(pausedUntil);
+    return { awaitingAcknowledgment: null, pausedUntil: Number.isNaN(until) ? null : until };
+  }
+  return level === ENFORCEMENT_LEVELS.END ? NOTHING_OPEN : open;
+}, NOTHING_OPEN);
@@ -0,0 +1,170 @@
+// Frame analysis for the shared stream: spots black, frozen and suddenly covered
+// screen content. Everything except createFrameSampler works on plain arrays,
+// so it can be driven with synthetic frames.
+
+export const FRAME_CONDITIONS = {
+  BLACK: 'black',
+  FROZEN: 'frozen',
+  OCCLUDED: 'occluded'
+};
+
+export const DEFAULT_FRAME_ANALYSIS_OPTIONS = {
+  sampleIntervalMs: 1000,
+  // Frames are analyzed at this width, which is plenty for whole-frame statistics
+  sampleWidth: 64,
+  // Mean luma (0-255) below which a uniform frame counts as black
+  blackLumaThreshold: 16,
+  // Luma variance below which a frame counts as a single flat colour
+  uniformVarianceThreshold: 16,
+  // Mean absolute luma change below which two frames count as identical
+  frozenDiffThreshold: 1,
+  // How long frames must stay identical before the screen counts as frozen
+  frozenWindowMs: 20000,
+  // Mean absolute luma change that makes a switch to a flat frame "sudden"
+  occlusionChangeThreshold: 40
+};
+
+// RGBA pixels (e.g. ImageData.data) to one luma value per pixel (BT.601)
+export const toLuma = (rgba) => {
+  const luma = new Float32Array(rgba.length / 4);
+  for (let i = 0; i < luma.length; i++) {
+    const offset = i * 4;
+    luma[i] = 0.299 * rgba[offset] + 0.587 * rgba[offset + 1] + 0.114 * rgba[offset + 2];
+  }
+  return luma;
+};
+
+export const getLumaStats = (luma) => {
+  let sum = 0;
+  for (let i = 0; i < luma.length; i++) sum += luma[i];
+  const mean = sum / luma.length;
+
+  let squares = 0;
+  for (let i = 0; i < luma.length; i++) squares += (luma[i] - mean) ** 2;
+  return { mean, variance: squares / luma.length };
+};
+
+// Mean absolute luma difference; frames of different sizes count as changed
+export const getFrameDifference = (previous, current) => {
+  if (!previous || previous.length !== current.length) return Infinity;
+  let sum = 0;
+  for (let i = 0; i < current.length; i++) sum += Math.abs(current[i] - previous[i]);
+  return sum / current.length;
+};
+
+// Which conditions a single frame shows, given the frame before it.
+// Frozen needs a time window, so it is left to the analyzer.
+export const classifyFrame = (stats, difference, options = DEFAULT_FRAME_ANALYSIS_OPTIONS) => {
+  const isUniform = stats.variance < options.uniformVarianceThreshold;
+  return {
+    isUniform,
+    isBlack: isUniform && stats.mean < options.blackLumaThreshold,
+    isUnchanged: difference < options.frozenDiffThreshold,
+    isSuddenChange: difference >= options.occlusionChangeThreshold
+  };
+};
+
+// Stateful analyzer fed one luma frame at a time. analyze() and flush() return
+// the conditions that started and ended, each ended one with its duration.
+export const createFrameAnalyzer = (options = {}) => {
+  const settings = { ...DEFAULT_FRAME_ANALYSIS_OPTIONS, ...options };
+  const active = {}; // condition -> startedAt
+  let previous = null;
+  let unchangedSince = null;
+
+  const start = (condition, startedAt, result) => {
+    if (active[condition] !== undefined) return;
+    active[condition] = startedAt;
+    result.started.push({ condition, startedAt });
+  };
+
+  const end = (condition, endedAt, result) => {
+    const startedAt = active[condition];
+    if (startedAt === undefined) return;
+    delete active[condition];
+    result.ended.push({ condition, startedAt, endedAt, duration: endedAt - startedAt });
+  };
+
+  const analyze = (luma, timestamp) => {
+    const result = { started: [], ended: [] };
+    const stats = getLumaStats(luma);
+    const frame = classifyFrame(stats, getFrameDifference(previous, luma), settings);
+    previous = luma;
+
+    if (frame.isBlack) {
+      start(FRAME_CONDITIONS.BLACK, timestamp, result);
+    } else {
+      end(FRAME_CONDITIONS.BLACK, timestamp, result);
+    }
+
+    // A flat frame that replaced different content in one step; it lasts
+    // until the frame has detail again
+    if (frame.isUniform && !frame.isBlack && frame.isSuddenChange) {
+      start(FRAME_CONDITIONS.OCCLUDED, timestamp, result);
+    } else if (!frame.isUniform || frame.isBlack) {
+      end(FRAME_CONDITIONS.OCCLUDED, timestamp, result);
+    }
+
+    // Flat frames are covered above, so only detailed content can be frozen
+    if (frame.isUnchanged && !frame.isUniform) {
+      if (unchangedSince === null) unchangedSince = timestamp;
+      if (timestamp - unchangedSince >= settings.frozenWindowMs) {
+        start(FRAME_CONDITIONS.FROZEN, unchangedSince, result);
+      }
+    } else {
+      // The first frame of a still period is the one the others match
+      unchangedSince = frame.isUniform ? null : timestamp;
+      end(FRAME_CONDITIONS.FROZEN, timestamp, result);
+    }
+
+    return result;
+  };
+
+  // End every open condition, e.g. when the share stops
+  const flush = (timestamp) => {
+    const result = { started: [], ended: [] };
+    Object.keys(active).forEach(condition => end(condition, timestamp, result));
+    return result;
+  };
+
+  const getActive = () => Object.keys(active);
+
+  return { analyze, flush, getActive };
+};
+
+// Draws low-resolution frames from a stream and returns their luma values.
+// Uses an OffscreenCanvas when the browser has one.
+export const createFrameSampler = (stream, sampleWidth = DEFAULT_FRAME_ANALYSIS_OPTIONS.sampleWidth) => {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = stream;
+  const ready = video.play().catch(error => {
+    console.warn('Frame analysis video could not start:', error);
+  });
+
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(sampleWidth, sampleWidth)
+    : document.createElement('canvas');
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+
+  // Returns a luma frame, or null when no frame is available yet
+  const sample = async () => {
+    await ready;
+    if (!video.videoWidth || !video.videoHeight) return null;
+
+    const width = Math.min(sampleWidth, video.videoWidth);
+    const height = Math.max(1, Math.round((video.videoHeight / video.videoWidth) * width));
+    canvas.width = width;
+    canvas.height = height;
+    context.drawImage(video, 0, 0, width, height);
+    return toLuma(context.getImageData(0, 0, width, height).data);
+  };
+
+  const dispose = () => {
+    video.pause();
+    video.srcObject = null;
+  };
+
+  return { sample, dispose };
+};
@@ -0,0 +1,214 @@
+// Validation and monitoring policy. Each exam can load its own rules; anything
+// a policy leaves out falls back to DEFAULT_POLICY. Shared by the browser and
+// the /api/policies route, so both validate against the same schema.
+
+export const POLICY_SURFACES = ['monitor', 'window', 'browser'];
+
+export const DEFAULT_POLICY = {
+  id: 'default',
+  name: 'Default',
+  // Display surfaces a share may use
+  allowedSurfaces: ['monitor'],
+  audio: {
+    // Ask for system audio with the share and reject shares without a live audio track
+    required: false,
+    // How long the level check listens for sound after the share is accepted
+    levelCheckMs: 3000
+  },
+  // Source name patterns used when the browser reports nothing better
+  labelPatterns: {
+    valid: ['screen', 'monitor', 'desktop', 'entire screen', 'full screen'],
+    invalid: ['tab', 'window', 'chrome tab', 'firefox tab', 'safari tab', 'application window', 'browser window']
+  },
+  detectors: {
+    cursor: true,
+    multipleDisplays: true,
+    visibility: true,
+    focus: true,
+    fullscreen: true,
+    pagehide: true,
+    frameAnalysis: true
+  },
+  gracePeriods: {
+    // Cursor must stay off-screen this long before it counts
+    cursorDebounceMs: 300,
+    // Minimum time between two violations of the same type
+    violationThrottleMs: 3000,
+    // Unchanged frames for this long count as a frozen screen
+    frozenFrameMs: 20000,
+    // Repeats of one violation type within this long count as a single strike
+    strikeGraceMs: 10000
+  },
+  attempts: {
+    // Failed share attempts before lockout; null allows unlimited attempts
+    max: null,
+    // Show picker help after this many attempts
+    hintAfter: 2,
+    // How long a lockout lasts; null keeps it for the rest of the session
+    lockoutMs: null
+  },
+  enforcement: {
+    enabled: true,
+    // Strikes of one violation type at which each step starts; null skips the step
+    thresholds: {
+      warn: 1,
+      acknowledge: 3,
+      pause: 5,
+      end: 8
+    },
+    // How long a paused session waits before the candidate may resume
+    pauseMs: 30000,
+    // Strikes older than this stop counting; null counts the whole session
+    strikeWindowMs: null
+  }
+};
+
+const booleanField = { type: 'boolean' };
+const durationField = { type: 'number', min: 0 };
+const countField = { type: 'number', integer: true, min: 0 };
+const patternList = { type: 'array', items: { type: 'string' } };
+
+export const POLICY_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', pattern: /^[a-z0-9-]+$/i },
+    name: { type: 'string' },
+    allowedSurfaces: { type: 'array', items: { type: 'string', enum: POLICY_SURFACES }, minItems: 1 },
+    audio: { type: 'object', properties: { required: booleanField, levelCheckMs: durationField } },
+    labelPatterns: { type: 'object', properties: { valid: patternList, invalid: patternList } },
+    detectors: {
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(DEFAULT_POLICY.detectors).map(key => [key, booleanField]))
+    },
+    gracePeriods: {
+      type: 'object',
+      properties: {
+        cursorDebounceMs: durationField,
+        violationThrottleMs: durationField,
+        frozenFrameMs: durationField,
+        strikeGraceMs: durationField
+      }
+    },
+    attempts: {
+      type: 'object',
+      properties: {
+        max: { ...countField, min: 1, nullable: true },
+        hintAfter: countField,
+        lockoutMs: { type: 'number', min: 0, nullable: true }
+      }
+    },
+    enforcement: {
+      type: 'object',
+      properties: {
+        enabled: booleanField,
+        thresholds: {
+          type: 'object',
+          properties: Object.fromEntries(Object.keys(DEFAULT_POLICY.enforcement.thresholds)
+            .map(key => [key, { ...countField, min: 1, nullable: true }]))
+        },
+        pauseMs: durationField,
+        strikeWindowMs: { type: 'number', min: 0, nullable: true }
+      }
+    }
+  }
+};
+
+// Collect every mismatch between a value and a schema node
+const checkValue = (value, schema, path, errors) => {
+  if (value === null && schema.nullable) return;
+
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    Object.keys(value).forEach(key => {
+      if (!schema.properties[key]) {
+        errors.push(`${path}.${key} is not a known policy setting`);
+      } else {
+        checkValue(value[key], schema.properties[key], `${path}.${key}`, errors);
+      }
+    });
+    return;
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be an array`);
+      return;
+    }
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path} needs at least ${schema.minItems} entry`);
+    }
+    value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, errors));
+    return;
+  }
+
+  if (schema.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+    errors.push(`${path} must be a number`);
+  } else if (typeof value !== schema.type) {
+    errors.push(`${path} must be a ${schema.type}`);
+  } else if (schema.integer && !Number.isInteger(value)) {
+    errors.push(`${path} must be a whole number`);
+  } else if (schema.min !== undefined && value < schema.min) {
+    errors.push(`${path} must be at least ${schema.min}`);
+  } else if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  } else if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${path} has an invalid format`);
+  }
+};
+
+// Merge a partial policy over the defaults, one section at a time
+const mergePolicy = (input) => {
+  const policy = { ...DEFAULT_POLICY, ...input };
+  ['audio', 'labelPatterns', 'detectors', 'gracePeriods', 'attempts', 'enforcement'].forEach(section => {
+    policy[section] = { ...DEFAULT_POLICY[section], ...input[section] };
+  });
+  policy.enforcement.thresholds = { ...DEFAULT_POLICY.enforcement.thresholds, ...input.enforcement?.thresholds };
+  return policy;
+};
+
+// Each enforcement step must need more strikes than the one before it
+const checkThresholds = ({ thresholds }, errors) => {
+  const steps = Object.entries(thresholds).filter(([, strikes]) => strikes !== null);
+  steps.slice(1).forEach(([level, strikes], index) => {
+    const [previous, previousStrikes] = steps[index];
+    if (strikes <= previousStrikes) {
+      errors.push(`policy.enforcement.thresholds.${level} must be greater than ${previous} (${previousStrikes})`);
+    }
+  });
+};
+
+// Returns { policy } with defaults filled in, or { errors } listing every problem
+export const validatePolicy = (input) => {
+  const errors = [];
+  checkValue(input, POLICY_SCHEMA, 'policy', errors);
+  if (errors.length > 0) return { errors };
+  const policy = mergePolicy(input);
+  checkThresholds(policy.enforcement, errors);
+  if (errors.length > 0) return { errors };
+  return { policy };
+};
+
+// Short read-only summary lines for display
+export const describePolicy = (policy) => {
+  const { allowedSurfaces, audio, detectors, gracePeriods, attempts, enforcement } = policy;
+  const steps = Object.entries(enforcement.thresholds)
+    .filter(([, strikes]) => strikes !== null)
+    .map(([level, strikes]) => `${level} ${strikes}`);
+  const enabled = Object.keys(detectors).filter(key => detectors[key]);
+  return [
+    ['Allowed surfaces', allowedSurfaces.join(', ')],
+    ['System audio', audio.required ? `Required (${audio.levelCheckMs / 1000}s level check)` : 'Not required'],
+    ['Detectors', enabled.length > 0 ? enabled.join(', ') : 'None'],
+    ['Cursor grace period', `${gracePeriods.cursorDebounceMs} ms`],
+    ['Violation throttle', `${gracePeriods.violationThrottleMs} ms`],
+    ['Frozen screen after', `${gracePeriods.frozenFrameMs / 1000}s`],
+    ['Attempts', attempts.max === null ? 'Unlimited' : `${attempts.max} max`],
+    ['Lockout', attempts.max === null ? '—' : attempts.lockoutMs === null ? 'For the rest of the session' : `${attempts.lockoutMs / 1000}s`],
+    ['Enforcement', enforcement.enabled ? steps.join(' → ') : 'Off'],
+    ['Strike grace period', `${gracePeriods.strikeGraceMs / 1000}s`],
+    ['Pause length', `${enforcement.pauseMs / 1000}s`]
+  ];
+};
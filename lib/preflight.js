@@ -0,0 +1,172 @@
+// Browser capability preflight, run before the instructions so users on an
+// unsupported setup get specific guidance instead of a failed picker.
+// Only a 'fail' check blocks screen sharing; 'warn' and 'info' are reported.
+
+import { detectSupportedHints } from './displayMediaOptions';
+
+export const PREFLIGHT_STATUS = {
+  PASS: 'pass',
+  INFO: 'info',
+  WARN: 'warn',
+  FAIL: 'fail'
+};
+
+const MOBILE_PATTERN = /Android|iPhone|iPad|iPod|Mobile/i;
+
+const check = (id, label, status, detail, remediation = null) => ({ id, label, status, detail, remediation });
+
+// Whether this page is inside a frame; cross-origin parents throw on access
+const getEmbedding = (globalScope) => {
+  try {
+    if (globalScope.self === globalScope.top) return { embedded: false, crossOrigin: false };
+    return { embedded: true, crossOrigin: globalScope.top.location.origin !== globalScope.location.origin };
+  } catch (error) {
+    return { embedded: true, crossOrigin: true };
+  }
+};
+
+// true or false when the browser exposes the Permissions Policy, null when it cannot tell
+export const isFeatureAllowed = (doc, feature) => {
+  const policy = doc?.permissionsPolicy || doc?.featurePolicy;
+  if (typeof policy?.allowsFeature !== 'function') return null;
+  try {
+    return policy.allowsFeature(feature);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Unknown permission names throw in some browsers, which reads as 'unsupported'
+const queryPermission = async (nav, name) => {
+  try {
+    const result = await nav.permissions?.query({ name });
+    return result?.state || 'unsupported';
+  } catch (error) {
+    return 'unsupported';
+  }
+};
+
+const describeBrowser = (globalScope) => {
+  const nav = globalScope.navigator || {};
+  const screen = globalScope.screen || {};
+  return {
+    userAgent: nav.userAgent || '',
+    brands: (nav.userAgentData?.brands || []).map(({ brand, version }) => `${brand} ${version}`),
+    platform: nav.userAgentData?.platform || nav.platform || '',
+    mobile: nav.userAgentData ? Boolean(nav.userAgentData.mobile) : MOBILE_PATTERN.test(nav.userAgent || ''),
+    language: nav.language || '',
+    screen: `${screen.width || 0}x${screen.height || 0} @${globalScope.devicePixelRatio || 1}x`
+  };
+};
+
+// Run every check and build the diagnostics report
+export const runPreflight = async (globalScope = window) => {
+  const nav = globalScope.navigator || {};
+  const doc = globalScope.document;
+  const browser = describeBrowser(globalScope);
+  const embedding = getEmbedding(globalScope);
+  const checks = [];
+
+  checks.push(globalScope.isSecureContext
+    ? check('secure-context', 'Secure context', PREFLIGHT_STATUS.PASS, `Served from ${globalScope.location?.origin}`)
+    : check('secure-context', 'Secure context', PREFLIGHT_STATUS.FAIL,
+      `${globalScope.location?.origin} is not a secure origin`,
+      'Open this page over https:// (or http://localhost during development). Browsers only allow screen sharing on secure origins.'));
+
+  const mediaDevices = nav.mediaDevices;
+  const hasGetDisplayMedia = typeof mediaDevices?.getDisplayMedia === 'function';
+  if (hasGetDisplayMedia) {
+    checks.push(check('get-display-media', 'Screen capture API', PREFLIGHT_STATUS.PASS, 'navigator.mediaDevices.getDisplayMedia is available'));
+  } else {
+    checks.push(check('get-display-media', 'Screen capture API', PREFLIGHT_STATUS.FAIL,
+      mediaDevices ? 'getDisplayMedia is missing' : 'navigator.mediaDevices is missing',
+      browser.mobile
+        ? 'Mobile browsers cannot share the screen. Please switch to a desktop or laptop computer.'
+        : 'Update your browser, or use a recent desktop version of Chrome, Edge, Firefox or Safari.'));
+  }
+
+  // The host page controls display-capture with the iframe allow attribute and its own header
+  const captureAllowed = isFeatureAllowed(doc, 'display-capture');
+  if (captureAllowed === false) {
+    checks.push(check('permissions-policy', 'Permissions Policy', PREFLIGHT_STATUS.FAIL,
+      'display-capture is blocked for this document',
+      embedding.embedded
+        ? 'The page embedding this validator must add allow="display-capture" to the iframe and must not send Permissions-Policy: display-capture=().'
+        : 'The server must not send Permissions-Policy: display-capture=() for this page.'));
+  } else {
+    checks.push(check('permissions-policy', 'Permissions Policy',
+      captureAllowed ? PREFLIGHT_STATUS.PASS : PREFLIGHT_STATUS.INFO,
+      captureAllowed ? 'display-capture is allowed' : 'This browser does not report the Permissions Policy'));
+  }
+
+  checks.push(embedding.embedded
+    ? check('embedded', 'Embedded context', PREFLIGHT_STATUS.INFO,
+      `Running in an iframe${embedding.crossOrigin ? ' on a different origin' : ''}`)
+    : check('embedded', 'Embedded context', PREFLIGHT_STATUS.PASS, 'Running as a top-level page'));
+
+  // Window Management lets monitoring count displays instead of guessing from the cursor
+  if (typeof globalScope.getScreenDetails !== 'function') {
+    checks.push(check('window-management', 'Window Management API', PREFLIGHT_STATUS.WARN,
+      'getScreenDetails is not available; extra monitors are detected from the cursor only',
+      'For the most reliable multi-monitor detection, use a recent version of Chrome or Edge.'));
+  } else if (isFeatureAllowed(doc, 'window-management') === false) {
+    checks.push(check('window-management', 'Window Management API', PREFLIGHT_STATUS.WARN,
+      'window-management is blocked for this document',
+      'The page embedding this validator should add allow="window-management" to the iframe.'));
+  } else {
+    const permission = await queryPermission(nav, 'window-management');
+    checks.push(permission === 'denied'
+      ? check('window-management', 'Window Management API', PREFLIGHT_STATUS.WARN,
+        'Permission to list displays was denied',
+        'Allow "Window management" in the site settings so connected displays can be counted.')
+      : check('window-management', 'Window Management API', PREFLIGHT_STATUS.PASS, `Available, permission: ${permission}`));
+  }
+
+  // Picker hints steer toward the entire screen; without them only the result can be checked
+  const supportedConstraints = typeof mediaDevices?.getSupportedConstraints === 'function'
+    ? mediaDevices.getSupportedConstraints()
+    : {};
+  const constraints = Object.keys(supportedConstraints).filter(name => supportedConstraints[name]);
+  const hints = Object.entries(detectSupportedHints(mediaDevices, globalScope))
+    .filter(([, supported]) => supported)
+    .map(([hint]) => hint);
+  checks.push(hints.includes('displaySurface')
+    ? check('constraints', 'Picker hints', PREFLIGHT_STATUS.PASS, `Supported: ${hints.join(', ')}`)
+    : check('constraints', 'Picker hints', PREFLIGHT_STATUS.INFO,
+      'The picker cannot be steered toward the entire screen; make sure to select it yourself'));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    browser,
+    url: globalScope.location?.href || '',
+    constraints,
+    checks,
+    canStart: checks.every(({ status }) => status !== PREFLIGHT_STATUS.FAIL)
+  };
+};
+
+// The checks that stop screen sharing from starting
+export const getBlockingChecks = (report) =>
+  (report?.checks || []).filter(({ status }) => status === PREFLIGHT_STATUS.FAIL);
+
+// Plain-text report for support tickets
+export const formatPreflightReport = (report) => {
+  const lines = [
+    'Screen Share Validator diagnostics',
+    `Generated: ${report.generatedAt}`,
+    `URL: ${report.url}`,
+    `User agent: ${report.browser.userAgent}`,
+    `Brands: ${report.browser.brands.join(', ') || 'n/a'}`,
+    `Platform: ${report.browser.platform || 'n/a'}${report.browser.mobile ? ' (mobile)' : ''}`,
+    `Language: ${report.browser.language || 'n/a'}`,
+    `Screen: ${report.browser.screen}`,
+    `Supported constraints: ${report.constraints.join(', ') || 'none'}`,
+    `Can start: ${report.canStart ? 'yes' : 'no'}`,
+    ''
+  ];
+  report.checks.forEach(({ label, status, detail, remediation }) => {
+    lines.push(`[${status.toUpperCase()}] ${label}: ${detail}`);
+    if (remediation) lines.push(`  -> ${remediation}`);
+  });
+  return lines.join('\n');
+};
@@ -0,0 +1,148 @@
+// Uploads MediaRecorder chunks to /api/recordings with sequence numbers.
+// Chunks stay in memory until the server acknowledges them; after a failure
+// the uploader asks the server which sequences it already has and resumes.
+// It gives up after maxRetries failures in a row, or at once when the server
+// refuses a request outright, so finish() always settles.
+
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+const MAX_RETRIES = 8;
+
+// Client errors other than timeouts and rate limits will not succeed on retry
+const isFatal = (error) => typeof error.status === 'number' &&
+  error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every request carries the client secret of the session the recording belongs to
+const secretHeader = (session) => (session?.secret ? { 'X-Session-Secret': session.secret } : {});
+
+const postJson = async (url, body, session) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...secretHeader(session) },
+    body: JSON.stringify(body)
+  });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw Object.assign(new Error(payload.error || `Request failed with status ${response.status}`), {
+      status: response.status,
+      payload
+    });
+  }
+  return payload;
+};
+
+// session is the { id, secret } of the server session being recorded
+export const createRecordingUploader = ({
+  session = null,
+  mimeType = 'video/webm',
+  onProgress = null,
+  maxRetries = MAX_RETRIES,
+  retryBaseDelayMs = RETRY_BASE_DELAY_MS
+} = {}) => {
+  const pending = new Map(); // sequence -> Blob
+  let recordingId = null;
+  let nextSequence = 0;
+  let uploaded = 0;
+  let failures = 0;
+  let pumping = null;
+  let failedWith = null; // Error the uploader gave up on
+
+  const report = (status) => {
+    if (onProgress) {
+      onProgress({ status, recordingId, uploaded, pending: pending.size, failures });
+    }
+  };
+
+  const ensureRecording = async () => {
+    if (!recordingId) {
+      const { recording } = await postJson('/api/recordings', { sessionId: session?.id, mimeType }, session);
+      recordingId = recording.id;
+    }
+    return recordingId;
+  };
+
+  // Drop chunks the server already stored, e.g. when an ack was lost
+  const syncWithServer = async () => {
+    if (!recordingId) return;
+    const response = await fetch(`/api/recordings/${recordingId}`, { headers: secretHeader(session) });
+    if (!response.ok) return;
+    const { recording } = await response.json();
+    Object.keys(recording.chunks).forEach(sequence => {
+      if (pending.delete(Number(sequence))) uploaded++;
+    });
+  };
+
+  const uploadChunk = async (sequence, blob) => {
+    const id = await ensureRecording();
+    const response = await fetch(`/api/recordings/${id}/chunks/${sequence}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream', ...secretHeader(session) },
+      body: blob
+    });
+    if (!response.ok) {
+      throw Object.assign(new Error(`Chunk ${sequence} upload failed with status ${response.status}`), {
+        status: response.status
+      });
+    }
+  };
+
+  // Upload pending chunks in sequence order, backing off after failures
+  const pump = () => {
+    if (pumping) return pumping;
+    pumping = (async () => {
+      while (pending.size > 0 && !failedWith) {
+        const sequence = Math.min(...pending.keys());
+        try {
+          await uploadChunk(sequence, pending.get(sequence));
+          pending.delete(sequence);
+          uploaded++;
+          failures = 0;
+          report('uploading');
+        } catch (error) {
+          failures++;
+          if (isFatal(error) || failures > maxRetries) {
+            console.error(`Recording upload failed after ${failures} attempts, giving up:`, error);
+            failedWith = error;
+            break;
+          }
+          const delay = Math.min(retryBaseDelayMs * 2 ** (failures - 1), RETRY_MAX_DELAY_MS);
+          console.warn(`Recording upload interrupted, resuming in ${delay}ms:`, error);
+          report('retrying');
+          await wait(delay);
+          await syncWithServer().catch(() => {});
+        }
+      }
+      pumping = null;
+      report(failedWith ? 'failed' : 'idle');
+    })();
+    return pumping;
+  };
+
+  // Queue the next chunk from MediaRecorder; dropped once the upload gave up
+  const addChunk = (blob) => {
+    if (!blob || blob.size === 0 || failedWith) return;
+    pending.set(nextSequence++, blob);
+    report('queued');
+    pump();
+  };
+
+  // Wait for every chunk, then let the server join them. Rejects with the
+  // error the upload gave up on.
+  const finish = async () => {
+    await pump();
+    if (failedWith) throw failedWith;
+    if (nextSequence === 0) {
+      report('empty');
+      return null;
+    }
+
+    const id = await ensureRecording();
+    const { recording } = await postJson(`/api/recordings/${id}/finalize`, { totalChunks: nextSequence }, session);
+    report('finalized');
+    return recording;
+  };
+
+  return { addChunk, finish };
+};
@@ -0,0 +1,80 @@
+// Coordinate normalization for cursor-based multi-monitor detection.
+// MouseEvent.screenX/Y live in the global desktop coordinate space, where
+// the current screen does not have to start at 0,0. Browser zoom scales
+// screenX/Y and window.screen alike, so the comparison needs no correction.
+
+// Without the screen origin, tell which side the taskbar is on: a work area
+// starting taskbar pixels past a multiple of the screen size has it before
+// (left or top), otherwise it sits after (right or bottom)
+const isTaskbarBefore = (availStart, taskbar, size) =>
+  taskbar > 0 && size > 0 && ((availStart % size) + size) % size === taskbar;
+
+// Build the bounds of the current screen in screen (CSS) coordinates
+export const getScreenBounds = (screen, devicePixelRatio = 1) => {
+  if (!screen) {
+    return {
+      left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0,
+      workArea: { left: 0, top: 0, right: 0, bottom: 0 },
+      devicePixelRatio
+    };
+  }
+
+  const availLeft = screen.availLeft ?? 0;
+  const availTop = screen.availTop ?? 0;
+  const availWidth = screen.availWidth ?? screen.width;
+  const availHeight = screen.availHeight ?? screen.height;
+
+  // The cursor may sit on the taskbar, which is outside the work area
+  const taskbarX = Math.max(0, screen.width - availWidth);
+  const taskbarY = Math.max(0, screen.height - availHeight);
+
+  let left, top, right, bottom;
+  if (typeof screen.left === 'number' && typeof screen.top === 'number') {
+    // Chromium exposes the real screen origin
+    left = screen.left;
+    top = screen.top;
+    right = left + screen.width;
+    bottom = top + screen.height;
+  } else {
+    // Without it, add the taskbar on the side of the work area it sits on
+    const taskbarLeft = isTaskbarBefore(availLeft, taskbarX, screen.width);
+    const taskbarTop = isTaskbarBefore(availTop, taskbarY, screen.height);
+    left = taskbarLeft ? availLeft - taskbarX : availLeft;
+    top = taskbarTop ? availTop - taskbarY : availTop;
+    right = left + screen.width;
+    bottom = top + screen.height;
+  }
+
+  return {
+    left,
+    top,
+    right,
+    bottom,
+    width: right - left,
+    height: bottom - top,
+    workArea: {
+      left: availLeft,
+      top: availTop,
+      right: availLeft + availWidth,
+      bottom: availTop + availHeight
+    },
+    devicePixelRatio
+  };
+};
+
+// Convert a screen-coordinate point to device pixels
+export const toDevicePixels = (value, bounds) =>
+  Math.round(value * bounds.devicePixelRatio);
+
+// List which edges of the bounds a point lies beyond
+export const getOutOfBoundsEdges = (screenX, screenY, bounds) => {
+  const edges = [];
+  if (screenX < bounds.left) edges.push('left edge');
+  if (screenX > bounds.right) edges.push('right edge');
+  if (screenY < bounds.top) edges.push('top edge');
+  if (screenY > bounds.bottom) edges.push('bottom edge');
+  return edges;
+};
+
+export const isPointOutOfBounds = (screenX, screenY, bounds) =>
+  getOutOfBoundsEdges(screenX, screenY, bounds).length > 0;
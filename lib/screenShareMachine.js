@@ -0,0 +1,47 @@
+// States and allowed transitions of a screen share session. The headless
+// useScreenShareSession hook drives it; anything not listed here is refused.
+
+export const SESSION_STATES = {
+  INSTRUCTIONS: 'instructions',
+  REQUESTING: 'requesting',
+  SUCCESS: 'success',
+  ERROR: 'error',
+  INTERRUPTED: 'interrupted',
+  ENDED: 'ended'
+};
+
+export const SESSION_ACTIONS = {
+  REQUEST: 'request', // open the picker
+  ACCEPT: 'accept', // the shared surface passed validation
+  REJECT: 'reject', // the request failed or the surface was refused
+  INTERRUPT: 'interrupt', // the accepted share ended, paused or changed
+  RESUME: 'resume', // the interrupted share became valid again
+  DISMISS: 'dismiss', // back to the instructions after a rejection
+  RESET: 'reset', // drop the session and start over
+  END: 'end' // stop the session for good, e.g. after too many violations
+};
+
+const { INSTRUCTIONS, REQUESTING, SUCCESS, ERROR, INTERRUPTED, ENDED } = SESSION_STATES;
+const { REQUEST, ACCEPT, REJECT, INTERRUPT, RESUME, DISMISS, RESET, END } = SESSION_ACTIONS;
+
+const TRANSITIONS = {
+  // The picker is open while requesting, so nothing but its result may follow
+  [REQUESTING]: { [ACCEPT]: SUCCESS, [REJECT]: ERROR },
+  [INSTRUCTIONS]: { [REQUEST]: REQUESTING, [RESET]: INSTRUCTIONS },
+  [SUCCESS]: { [INTERRUPT]: INTERRUPTED, [RESET]: INSTRUCTIONS, [END]: ENDED },
+  [INTERRUPTED]: {
+    [RESUME]: SUCCESS,
+    [INTERRUPT]: INTERRUPTED,
+    [REQUEST]: REQUESTING,
+    [RESET]: INSTRUCTIONS,
+    [END]: ENDED
+  },
+  [ERROR]: { [REQUEST]: REQUESTING, [DISMISS]: INSTRUCTIONS, [RESET]: INSTRUCTIONS },
+  // An ended session cannot be restarted from this page
+  [ENDED]: {}
+};
+
+// Next state for an action, or null when the action is not allowed
+export const getNextState = (state, action) => TRANSITIONS[state]?.[action] || null;
+
+export const canTransition = (state, action) => getNextState(state, action) !== null;
@@ -0,0 +1,225 @@
+// Layered validation engine for shared display surfaces.
+// Signals are checked from most to least reliable; the first one that can
+// decide wins and is reported together with its confidence. The policy
+// decides which surfaces are accepted.
+import { DEFAULT_POLICY } from './policy';
+
+export const SIGNALS = {
+  DISPLAY_SURFACE: 'displaySurface',
+  CAPABILITIES: 'capabilities',
+  FRAME_SIZE: 'frameSize',
+  LABEL: 'label',
+  NONE: 'none'
+};
+
+export const CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+// Allowed difference between captured frame size and physical screen size
+const FRAME_SIZE_TOLERANCE = 0.02;
+
+const KNOWN_SURFACES = ['monitor', 'window', 'browser'];
+
+const buildResult = (surface, signal, confidence, details = {}) => ({
+  surface,
+  signal,
+  confidence,
+  details
+});
+
+// Read a track method without throwing on browsers that lack it
+const safeCall = (track, method) => {
+  try {
+    return typeof track?.[method] === 'function' ? track[method]() || {} : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// 1. Settings report the surface the user actually picked
+export const checkDisplaySurface = (settings) => {
+  if (KNOWN_SURFACES.includes(settings.displaySurface)) {
+    return buildResult(settings.displaySurface, SIGNALS.DISPLAY_SURFACE, CONFIDENCE.HIGH, {
+      displaySurface: settings.displaySurface
+    });
+  }
+  return null;
+};
+
+// 2. Some browsers only expose the surface through capabilities
+export const checkCapabilities = (capabilities) => {
+  let surface = capabilities.displaySurface;
+  if (Array.isArray(surface)) {
+    // A single-entry list is the surface that was picked; more is ambiguous
+    surface = surface.length === 1 ? surface[0] : null;
+  }
+  if (KNOWN_SURFACES.includes(surface)) {
+    return buildResult(surface, SIGNALS.CAPABILITIES, CONFIDENCE.MEDIUM, {
+      displaySurface: surface
+    });
+  }
+  return null;
+};
+
+// Expected capture size in physical pixels
+const getExpectedSize = (screenSize) => ({
+  width: Math.round(screenSize.width * (screenSize.devicePixelRatio || 1)),
+  height: Math.round(screenSize.height * (screenSize.devicePixelRatio || 1))
+});
+
+const withinTolerance = (actual, expected) =>
+  Math.abs(actual - expected) / expected <= FRAME_SIZE_TOLERANCE;
+
+// Accept both physical and CSS pixel captures
+const matchesScreenSize = (width, height, screenSize) => {
+  const expected = getExpectedSize(screenSize);
+  return (withinTolerance(width, expected.width) && withinTolerance(height, expected.height)) ||
+    (withinTolerance(width, screenSize.width) && withinTolerance(height, screenSize.height));
+};
+
+// 3. Compare the captured size with the screen. Always inconclusive: a
+// maximised or fullscreen window is as large as the screen, so a match cannot
+// prove a monitor and a mismatch cannot rule one out. The measurements only
+// go into the details of an undecided result.
+export const checkFrameSize = (settings, screenSize) => {
+  const { width, height } = settings;
+  if (!width || !height || !screenSize?.width || !screenSize?.height) return null;
+
+  const expected = getExpectedSize(screenSize);
+  return buildResult('unknown', SIGNALS.FRAME_SIZE, CONFIDENCE.LOW, {
+    width,
+    height,
+    expectedWidth: expected.width,
+    expectedHeight: expected.height,
+    matchesScreen: matchesScreenSize(width, height, screenSize)
+  });
+};
+
+// 4. Fall back to label patterns when nothing else is available
+export const checkTrackLabel = (label, patterns = DEFAULT_POLICY.labelPatterns) => {
+  const normalized = (label || '').toLowerCase();
+  const details = { label: normalized };
+
+  // Check for invalid patterns first
+  for (const pattern of patterns.invalid) {
+    if (normalized.includes(pattern)) {
+      const surface = pattern.includes('tab') ? 'browser' : 'window';
+      return buildResult(surface, SIGNALS.LABEL, CONFIDENCE.LOW, details);
+    }
+  }
+
+  // Check for valid patterns
+  for (const pattern of patterns.valid) {
+    if (normalized.includes(pattern)) {
+      return buildResult('monitor', SIGNALS.LABEL, CONFIDENCE.LOW, details);
+    }
+  }
+
+  return null;
+};
+
+// Run every layer in order and judge the first decisive result against the policy
+export const validateDisplaySurface = (videoTrack, screenSize, policy = DEFAULT_POLICY) => {
+  const settings = safeCall(videoTrack, 'getSettings');
+  const capabilities = safeCall(videoTrack, 'getCapabilities');
+
+  const result =
+    checkDisplaySurface(settings) ||
+    checkCapabilities(capabilities) ||
+    checkTrackLabel(videoTrack?.label, policy.labelPatterns);
+
+  if (result) {
+    return { ...result, isValid: policy.allowedSurfaces.includes(result.surface) };
+  }
+
+  // If no signal is decisive, assume it's invalid for safety
+  const frameSize = checkFrameSize(settings, screenSize);
+  return {
+    ...buildResult('unknown', SIGNALS.NONE, CONFIDENCE.LOW, {
+      label: (videoTrack?.label || '').toLowerCase(),
+      ...(frameSize && { frameSize: frameSize.details })
+    }),
+    isValid: false
+  };
+};
+
+// Compare the captured frame with the screen this window is on.
+// A mismatch means the user most likely shared a different monitor.
+export const checkScreenConsistency = (videoTrack, screenSize) => {
+  const { width, height } = safeCall(videoTrack, 'getSettings');
+  if (!width || !height || !screenSize?.width || !screenSize?.height) {
+    return { isConsistent: true, reason: null, details: {} };
+  }
+
+  const expected = getExpectedSize(screenSize);
+  const details = {
+    width,
+    height,
+    expectedWidth: expected.width,
+    expectedHeight: expected.height
+  };
+
+  const capturedRatio = width / height;
+  const expectedRatio = expected.width / expected.height;
+  if (!withinTolerance(capturedRatio, expectedRatio)) {
+    return { isConsistent: false, reason: 'aspectRatio', details };
+  }
+
+  if (!matchesScreenSize(width, height, screenSize)) {
+    return { isConsistent: false, reason: 'size', details };
+  }
+
+  return { isConsistent: true, reason: null, details };
+};
+
+// Error message for a capture that does not match the current screen
+export const getConsistencyErrorMessage = (consistency) => {
+  const { width, height, expectedWidth, expectedHeight } = consistency.details;
+  const shape = consistency.reason === 'aspectRatio' ? 'shape' : 'size';
+  return `❗ The shared screen (${width}×${height}) does not match the ${shape} of the screen this window is on (${expectedWidth}×${expectedHeight}). Please share the monitor that shows this page.`;
+};
+
+// Current screen size in the shape expected by checkFrameSize
+export const getScreenSize = () => {
+  if (typeof window === 'undefined' || !window.screen) return null;
+  return {
+    width: window.screen.width,
+    height: window.screen.height,
+    devicePixelRatio: window.devicePixelRatio || 1
+  };
+};
+
+const SIGNAL_DESCRIPTIONS = {
+  [SIGNALS.DISPLAY_SURFACE]: 'reported by your browser',
+  [SIGNALS.CAPABILITIES]: 'reported by your browser',
+  [SIGNALS.LABEL]: 'based on the shared source name',
+  [SIGNALS.NONE]: 'the shared source could not be identified'
+};
+
+const SURFACE_NAMES = {
+  monitor: 'your entire screen',
+  window: 'a window',
+  browser: 'a browser tab'
+};
+
+// Get appropriate error message based on what was shared
+export const getErrorMessage = (result, allowedSurfaces = DEFAULT_POLICY.allowedSurfaces) => {
+  const source = SIGNAL_DESCRIPTIONS[result.signal];
+
+  // Policies that accept more than the entire screen get a message listing what is allowed
+  if (allowedSurfaces.length !== 1 || allowedSurfaces[0] !== 'monitor') {
+    const allowed = allowedSurfaces.map(surface => SURFACE_NAMES[surface]).join(' or ');
+    return `❗ This kind of share is not allowed here (${source}). Please share ${allowed}.`;
+  }
+
+  if (result.surface === 'browser') {
+    return `❗ You selected a browser tab (${source}). Please share your entire screen instead.`;
+  } else if (result.surface === 'window') {
+    return `❗ You selected a window (${source}). Please share your entire screen instead.`;
+  } else {
+    return `❗ Please share your entire screen — tab or window sharing is not allowed (${source}).`;
+  }
+};
@@ -0,0 +1,39 @@
+// Share attempts and lockout, kept on the server session so a reload or a
+// tampered page cannot reset them. Mirrors the browser's rules: once
+// attempts.max attempts have been used and the last one was not accepted,
+// new attempts are refused for lockoutMs (null: for the rest of the session).
+//
+// State stored on the session: { count, lastStartedAt, judged, accepted }
+// where judged/accepted describe the last attempt's request verdict.
+
+export const EMPTY_ATTEMPTS = { count: 0, lastStartedAt: null, judged: false, accepted: false };
+
+// Timestamp until which new attempts are refused (Infinity for the rest of
+// the session), or null when the session is not locked
+export const getLockedUntil = (attempts, { max, lockoutMs }, now = Date.now()) => {
+  if (max === null || !attempts || attempts.count < max || attempts.accepted) return null;
+  const lockedUntil = lockoutMs === null ? Infinity : new Date(attempts.lastStartedAt).getTime() + lockoutMs;
+  return now < lockedUntil ? lockedUntil : null;
+};
+
+// Start an attempt; returns { attempts, lockedUntil } where lockedUntil is
+// null when the attempt was allowed and attempts is the updated state
+export const startAttempt = (attempts = EMPTY_ATTEMPTS, rules, now = Date.now()) => {
+  const lockedUntil = getLockedUntil(attempts, rules, now);
+  if (lockedUntil !== null) return { attempts, lockedUntil };
+
+  // An accepted share, or a lockout that has run its course, starts the count over
+  const exhausted = rules.max !== null && attempts.count >= rules.max;
+  const base = exhausted || attempts.accepted ? EMPTY_ATTEMPTS : attempts;
+  return {
+    attempts: { count: base.count + 1, lastStartedAt: new Date(now).toISOString(), judged: false, accepted: false },
+    lockedUntil: null
+  };
+};
+
+// Attach a request verdict to the attempt in progress; returns the updated
+// state, or null when no attempt is waiting for one
+export const judgeAttempt = (attempts, accepted) => {
+  if (!attempts || attempts.count === 0 || attempts.judged) return null;
+  return { ...attempts, judged: true, accepted };
+};
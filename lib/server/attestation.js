@@ -0,0 +1,64 @@
+// HMAC-signed validation attestations.
+// A token is "<base64url claims>.<base64url HMAC-SHA256 signature>" and can be
+// verified offline by any service that knows ATTESTATION_SECRET.
+import { createHmac, timingSafeEqual, randomUUID } from 'crypto';
+
+export const ATTESTATION_VERSION = 1;
+
+// Tokens are short-lived; backends should verify them right after the share
+export const DEFAULT_TTL_SECONDS = 10 * 60;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const sign = (encodedClaims, secret) =>
+  createHmac('sha256', secret).update(encodedClaims).digest();
+
+export const getAttestationSecret = () => process.env.ATTESTATION_SECRET || null;
+
+// Sign a set of claims; iat/exp/jti are added here
+export const signAttestation = (claims, secret, { ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now() } = {}) => {
+  if (!secret) throw new Error('An attestation secret is required');
+
+  const issuedAt = Math.floor(now / 1000);
+  const payload = {
+    v: ATTESTATION_VERSION,
+    jti: randomUUID(),
+    ...claims,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds
+  };
+  const encodedClaims = toBase64Url(JSON.stringify(payload));
+  return {
+    token: `${encodedClaims}.${toBase64Url(sign(encodedClaims, secret))}`,
+    claims: payload
+  };
+};
+
+// Check signature and expiry; returns { valid, claims } or { valid: false, reason }
+export const verifyAttestation = (token, secret, { now = Date.now() } = {}) => {
+  if (!secret) return { valid: false, reason: 'missing-secret' };
+  if (typeof token !== 'string') return { valid: false, reason: 'malformed' };
+
+  const parts = token.split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return { valid: false, reason: 'malformed' };
+
+  const [encodedClaims, encodedSignature] = parts;
+  const expected = sign(encodedClaims, secret);
+  const actual = Buffer.from(encodedSignature, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'bad-signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (claims.v !== ATTESTATION_VERSION) return { valid: false, reason: 'unsupported-version', claims };
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now) {
+    return { valid: false, reason: 'expired', claims };
+  }
+  return { valid: true, claims };
+};
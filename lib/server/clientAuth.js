@@ -0,0 +1,24 @@
+// Credential for the browser running a session: creating a session hands out
+// a secret once, the session keeps only its hash, and every write to the
+// session must present the secret in the X-Session-Secret header.
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+export const CLIENT_SECRET_HEADER = 'x-session-secret';
+
+export const createClientSecret = () => randomBytes(32).toString('base64url');
+
+export const hashClientSecret = (secret) => createHash('sha256').update(secret).digest('hex');
+
+// Constant-time check of a presented secret against the session's hash
+export const isClientSecret = (session, secret) => {
+  if (!session?.clientSecretHash || typeof secret !== 'string' || secret.length === 0) return false;
+  const actual = Buffer.from(hashClientSecret(secret));
+  const wanted = Buffer.from(session.clientSecretHash);
+  return actual.length === wanted.length && timingSafeEqual(actual, wanted);
+};
+
+// The secret an API request presented, or null
+export const getClientSecret = (req) => {
+  const secret = req.headers[CLIENT_SECRET_HEADER];
+  return typeof secret === 'string' && secret.length > 0 ? secret : null;
+};
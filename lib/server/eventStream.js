@@ -0,0 +1,24 @@
+// Server-sent events responses shared by the signaling and dashboard routes
+
+const KEEP_ALIVE_MS = 15000;
+
+// Turn an API response into an event stream; returns a send function.
+// onClose runs once the client disconnects.
+export const openEventStream = (req, res, onClose) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Compression would buffer the stream
+    'Content-Encoding': 'none'
+  });
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    if (onClose) onClose();
+  });
+
+  return (message) => res.write(`data: ${JSON.stringify(message)}\n\n`);
+};
@@ -0,0 +1,67 @@
+// Notices sessions whose client went silent, e.g. a closed laptop lid, a killed
+// tab or a lost network connection. A periodic sweep compares each active
+// session's stored lastHeartbeatAt (or createdAt, before the first heartbeat)
+// with the timeout, so sessions are caught even after a server restart.
+//
+// The timeout comes from SESSION_LIVENESS_TIMEOUT_MS (default 30s) and should
+// leave room for a few missed heartbeats.
+
+export const DEFAULT_LIVENESS_TIMEOUT_MS = 30000;
+
+export const getLivenessTimeout = (value = process.env.SESSION_LIVENESS_TIMEOUT_MS) => {
+  const timeoutMs = Number(value);
+  return Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : DEFAULT_LIVENESS_TIMEOUT_MS;
+};
+
+// When a session was last heard from
+export const getLastSeenAt = (session) => session.lastHeartbeatAt || session.createdAt;
+
+// Active sessions not heard from within timeoutMs
+export const findStaleSessions = (sessions, { now = Date.now(), timeoutMs = getLivenessTimeout() } = {}) =>
+  sessions.filter(session =>
+    session.status === 'active' && now - new Date(getLastSeenAt(session)).getTime() >= timeoutMs
+  );
+
+// listSessions() -> sessions; onLost(session, { lastHeartbeatAt, timeoutMs }) runs
+// for every stale session found. Sweeps every intervalMs (default half the timeout).
+export const createLivenessSweeper = ({
+  timeoutMs = getLivenessTimeout(),
+  intervalMs = Math.max(1000, Math.floor(timeoutMs / 2)),
+  listSessions,
+  onLost
+}) => {
+  let timer = null;
+  let sweeping = null;
+
+  const sweep = () => {
+    // Never run two sweeps over the same store at once
+    if (sweeping) return sweeping;
+    sweeping = (async () => {
+      const stale = findStaleSessions(await listSessions(), { timeoutMs });
+      for (const session of stale) {
+        await onLost(session, { lastHeartbeatAt: session.lastHeartbeatAt, timeoutMs });
+      }
+      return stale.length;
+    })().catch(error => {
+      console.error('Liveness sweep failed:', error);
+      return 0;
+    }).finally(() => {
+      sweeping = null;
+    });
+    return sweeping;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(sweep, intervalMs);
+    // A pending sweep should not keep the process alive
+    if (timer.unref) timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { sweep, start, stop, timeoutMs };
+};
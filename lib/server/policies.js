@@ -0,0 +1,34 @@
+// Named policies stored as JSON files, one per exam: config/policies/<id>.json
+// (override the directory with POLICIES_DIR).
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DEFAULT_POLICY, validatePolicy } from '../policy';
+
+const DEFAULT_POLICIES_DIR = path.join(process.cwd(), 'config', 'policies');
+
+const getPoliciesDir = () => process.env.POLICIES_DIR || DEFAULT_POLICIES_DIR;
+
+// Policy ids become file names, so keep them to a safe character set
+const isValidPolicyId = (id) => typeof id === 'string' && /^[a-z0-9-]+$/i.test(id);
+
+// Returns { policy } or { error, status }
+export const loadPolicy = async (id) => {
+  if (!isValidPolicyId(id)) return { error: 'Invalid policy id', status: 400 };
+  if (id === DEFAULT_POLICY.id) return { policy: DEFAULT_POLICY };
+
+  let input;
+  try {
+    input = JSON.parse(await fs.readFile(path.join(getPoliciesDir(), `${id}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { error: 'Policy not found', status: 404 };
+    console.error(`Could not read policy "${id}":`, error);
+    return { error: 'Policy file is not valid JSON', status: 500 };
+  }
+
+  const { policy, errors } = validatePolicy({ ...input, id });
+  if (errors) {
+    console.error(`Policy "${id}" does not match the schema:`, errors);
+    return { error: `Policy "${id}" is invalid: ${errors.join('; ')}`, status: 500 };
+  }
+  return { policy };
+};
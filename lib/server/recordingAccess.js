@@ -0,0 +1,14 @@
+// A recording belongs to the session it was started for; only that session's
+// client, holding its secret, may upload to it or read its progress
+import { getRecording } from './recordingStore';
+import { authorizeSessionClient } from './sessions';
+import { getClientSecret } from './clientAuth';
+
+// Returns { recording } or { error, status }
+export const authorizeRecordingClient = async (req, id) => {
+  const recording = await getRecording(id);
+  if (!recording) return { error: 'Recording not found', status: 404 };
+  const { error, status } = await authorizeSessionClient(recording.sessionId, getClientSecret(req));
+  if (error) return { error, status };
+  return { recording };
+};
@@ -0,0 +1,130 @@
+// File-system storage for chunked screen recordings.
+// Each recording lives in its own directory with a manifest.json and one file
+// per chunk, so an interrupted upload can resume from the missing sequences.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_RECORDINGS_DIR = path.join(process.cwd(), 'data', 'recordings');
+
+export const RECORDING_STATUS = {
+  RECORDING: 'recording',
+  FINALIZED: 'finalized'
+};
+
+const getRecordingsDir = () => process.env.RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR;
+
+// Recording ids are generated here, but never trust one from a URL blindly
+const isValidId = (id) => typeof id === 'string' && /^[0-9a-f-]{36}$/.test(id);
+
+const recordingDir = (id) => path.join(getRecordingsDir(), id);
+const manifestPath = (id) => path.join(recordingDir(id), 'manifest.json');
+const chunkPath = (id, sequence) =>
+  path.join(recordingDir(id), `chunk-${String(sequence).padStart(6, '0')}.part`);
+
+const readManifest = async (id) => {
+  if (!isValidId(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(manifestPath(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+const writeManifest = (manifest) =>
+  fs.writeFile(manifestPath(manifest.id), JSON.stringify(manifest, null, 2));
+
+// Manifest updates are serialized per process to keep chunk lists consistent
+let queue = Promise.resolve();
+const enqueue = (task) => {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+export const createRecording = async ({ sessionId = null, mimeType = 'video/webm' } = {}) => {
+  const id = randomUUID();
+  const now = new Date().toISOString();
+  const manifest = {
+    id,
+    sessionId,
+    mimeType,
+    status: RECORDING_STATUS.RECORDING,
+    createdAt: now,
+    updatedAt: now,
+    finalizedAt: null,
+    chunks: {},
+    totalChunks: null,
+    totalBytes: 0
+  };
+  await fs.mkdir(recordingDir(id), { recursive: true });
+  await writeManifest(manifest);
+  return manifest;
+};
+
+export const getRecording = readManifest;
+
+// Store one chunk; uploading the same sequence twice simply replaces it
+export const saveChunk = (id, sequence, data) => enqueue(async () => {
+  const manifest = await readManifest(id);
+  if (!manifest) return { error: 'Recording not found', status: 404 };
+  if (manifest.status === RECORDING_STATUS.FINALIZED) {
+    return { error: 'Recording is already finalized', status: 409 };
+  }
+
+  await fs.writeFile(chunkPath(id, sequence), data);
+  const previousSize = manifest.chunks[sequence]?.size || 0;
+  manifest.chunks[sequence] = { size: data.length, receivedAt: new Date().toISOString() };
+  manifest.totalBytes += data.length - previousSize;
+  manifest.updatedAt = new Date().toISOString();
+  await writeManifest(manifest);
+  return { manifest };
+});
+
+export const getMissingSequences = (manifest, totalChunks) => {
+  const missing = [];
+  for (let sequence = 0; sequence < totalChunks; sequence++) {
+    if (!manifest.chunks[sequence]) missing.push(sequence);
+  }
+  return missing;
+};
+
+// Sequences stored at or past totalChunks, which the recording should not have
+export const getUnexpectedSequences = (manifest, totalChunks) => Object.keys(manifest.chunks)
+  .map(Number)
+  .filter(sequence => sequence >= totalChunks)
+  .sort((a, b) => a - b);
+
+// Join all chunks, in order, into the final recording file. totalChunks must
+// account for every stored chunk, so none is silently left out.
+export const finalizeRecording = (id, totalChunks) => enqueue(async () => {
+  const manifest = await readManifest(id);
+  if (!manifest) return { error: 'Recording not found', status: 404 };
+  if (manifest.status === RECORDING_STATUS.FINALIZED) return { manifest };
+
+  const missing = getMissingSequences(manifest, totalChunks);
+  if (missing.length > 0) {
+    return { error: 'Recording is missing chunks', status: 409, missing };
+  }
+  const unexpected = getUnexpectedSequences(manifest, totalChunks);
+  if (unexpected.length > 0) {
+    return { error: 'Recording has chunks past totalChunks', status: 409, unexpected };
+  }
+
+  const extension = manifest.mimeType.includes('mp4') ? 'mp4' : 'webm';
+  const outputPath = path.join(recordingDir(id), `recording.${extension}`);
+  await fs.writeFile(outputPath, Buffer.alloc(0));
+  for (let sequence = 0; sequence < totalChunks; sequence++) {
+    await fs.appendFile(outputPath, await fs.readFile(chunkPath(id, sequence)));
+  }
+
+  const now = new Date().toISOString();
+  manifest.status = RECORDING_STATUS.FINALIZED;
+  manifest.totalChunks = totalChunks;
+  manifest.file = path.basename(outputPath);
+  manifest.finalizedAt = now;
+  manifest.updatedAt = now;
+  await writeManifest(manifest);
+  return { manifest };
+});
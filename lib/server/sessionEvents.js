@@ -0,0 +1,30 @@
+// In-process stream of session events. The session operations publish here;
+// webhooks and other server-side consumers subscribe.
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+const STREAM_EVENT = 'session-event';
+
+const emitter = new EventEmitter();
+// Every consumer is a long-lived subscription, so lift the default warning limit
+emitter.setMaxListeners(50);
+
+// Publish an event such as 'session.created' or 'session.violation'
+export const publishSessionEvent = (sessionId, type, data = {}, timestamp = new Date().toISOString()) => {
+  const event = { id: randomUUID(), sessionId, type, timestamp, data };
+  emitter.emit(STREAM_EVENT, event);
+  return event;
+};
+
+// Subscribe to every session event; returns an unsubscribe function
+export const subscribeToSessionEvents = (listener) => {
+  const safeListener = (event) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Session event listener failed:', error);
+    }
+  };
+  emitter.on(STREAM_EVENT, safeListener);
+  return () => emitter.off(STREAM_EVENT, safeListener);
+};
@@ -0,0 +1,97 @@
+// Pluggable session storage for the /api/sessions routes.
+// Every adapter implements the same async interface:
+//   create(session) -> session
+//   get(id) -> session | null
+//   update(id, updater) -> session | null   (updater receives a copy and returns the new session)
+//   list() -> session[]
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DEFAULT_STORE_PATH = path.join(process.cwd(), 'data', 'sessions.json');
+
+// JSON file store, used by default
+export const createJsonFileStore = (filePath = DEFAULT_STORE_PATH) => {
+  // Serialize file access so concurrent requests do not overwrite each other
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const readAll = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  };
+
+  const writeAll = async (sessions) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Write to a temp file first so a crash never leaves half a JSON file
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(sessions, null, 2));
+    await fs.rename(tempPath, filePath);
+  };
+
+  return {
+    create: (session) => enqueue(async () => {
+      const sessions = await readAll();
+      sessions[session.id] = session;
+      await writeAll(sessions);
+      return session;
+    }),
+
+    get: (id) => enqueue(async () => {
+      const sessions = await readAll();
+      return sessions[id] || null;
+    }),
+
+    update: (id, updater) => enqueue(async () => {
+      const sessions = await readAll();
+      if (!sessions[id]) return null;
+      sessions[id] = updater({ ...sessions[id] });
+      await writeAll(sessions);
+      return sessions[id];
+    }),
+
+    list: () => enqueue(async () => Object.values(await readAll()))
+  };
+};
+
+// In-memory store, useful for tests and serverless previews
+export const createMemoryStore = () => {
+  const sessions = new Map();
+
+  return {
+    create: async (session) => {
+      sessions.set(session.id, session);
+      return session;
+    },
+    get: async (id) => sessions.get(id) || null,
+    update: async (id, updater) => {
+      if (!sessions.has(id)) return null;
+      const updated = updater({ ...sessions.get(id) });
+      sessions.set(id, updated);
+      return updated;
+    },
+    list: async () => Array.from(sessions.values())
+  };
+};
+
+let activeStore = null;
+
+// Store used by the API routes; the JSON file store unless replaced
+export const getSessionStore = () => {
+  if (!activeStore) {
+    activeStore = createJsonFileStore(process.env.SESSION_STORE_PATH || DEFAULT_STORE_PATH);
+  }
+  return activeStore;
+};
+
+// Swap in another adapter, e.g. a database-backed one
+export const setSessionStore = (store) => {
+  activeStore = store;
+};
@@ -0,0 +1,322 @@
+// Session operations shared by the /api/sessions routes
+import { randomUUID } from 'crypto';
+import { getSessionStore } from './sessionStore';
+import { publishSessionEvent } from './sessionEvents';
+import { startWebhookDispatcher } from './webhooks';
+import { createLivenessSweeper, getLastSeenAt } from './liveness';
+import { loadPolicy } from './policies';
+import { judgeShare } from './shareVerdicts';
+import { startAttempt, judgeAttempt, EMPTY_ATTEMPTS } from './attempts';
+import { createClientSecret, hashClientSecret, isClientSecret } from './clientAuth';
+import { DEFAULT_POLICY } from '../policy';
+import { findOpenEnforcement } from '../enforcement';
+
+// Deliver session events to configured webhooks as soon as sessions are used
+startWebhookDispatcher();
+
+// Keep a single request from flooding the store
+const MAX_EVENTS_PER_REQUEST = 100;
+
+export const SESSION_STATUS = {
+  ACTIVE: 'active',
+  LOST: 'lost',
+  FINALIZED: 'finalized'
+};
+
+// Event types only the server writes: verdicts that attestations and the
+// dashboard rely on, and the lifecycle events it publishes itself
+export const SERVER_EVENT_TYPES = ['validation', 'attempt', 'lost', 'resumed', 'created', 'finalized', 'heartbeat'];
+
+// Policy every session gets unless a host backend provisions it with another
+export const getNewSessionPolicyId = () => process.env.SESSION_POLICY || DEFAULT_POLICY.id;
+
+// The policy a session is judged against; returns { policy } or { error, status }
+export const getSessionPolicy = (session) => loadPolicy(session.policyId || DEFAULT_POLICY.id);
+
+// Normalize client events into the stored shape
+const normalizeEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return { error: 'events must be a non-empty array' };
+  }
+  if (events.length > MAX_EVENTS_PER_REQUEST) {
+    return { error: `At most ${MAX_EVENTS_PER_REQUEST} events can be sent at once` };
+  }
+
+  const receivedAt = new Date().toISOString();
+  const normalized = [];
+  for (const event of events) {
+    if (!event || typeof event.type !== 'string' || event.type.length === 0) {
+      return { error: 'Every event needs a string type' };
+    }
+    if (SERVER_EVENT_TYPES.includes(event.type)) {
+      return { error: `"${event.type}" events are recorded by the server` };
+    }
+    normalized.push({
+      type: event.type,
+      timestamp: typeof event.timestamp === 'string' ? event.timestamp : receivedAt,
+      receivedAt,
+      data: event.data && typeof event.data === 'object' ? event.data : {}
+    });
+  }
+  return { events: normalized };
+};
+
+// Returns { session, clientSecret } or { error, status } when the policy cannot
+// be loaded. The client secret is only ever returned here.
+export const createSession = async (metadata = {}, policyId = getNewSessionPolicyId()) => {
+  const { error, status } = await loadPolicy(policyId);
+  if (error) return { error, status };
+
+  const now = new Date().toISOString();
+  const clientSecret = createClientSecret();
+  const session = await getSessionStore().create({
+    id: randomUUID(),
+    status: SESSION_STATUS.ACTIVE,
+    clientSecretHash: hashClientSecret(clientSecret),
+    // Every verdict for the session is judged against this policy
+    policyId,
+    attempts: EMPTY_ATTEMPTS,
+    createdAt: now,
+    updatedAt: now,
+    finalizedAt: null,
+    outcome: null,
+    lastHeartbeatAt: null,
+    lastHeartbeat: null,
+    metadata,
+    events: []
+  });
+  publishSessionEvent(session.id, 'session.created', { metadata, policyId }, now);
+  return { session, clientSecret };
+};
+
+export const getSession = (id) => getSessionStore().get(id);
+
+// A session as API responses show it, without its secret hash
+export const toSessionView = ({ clientSecretHash, ...session }) => session;
+
+// Check the client secret a request to the session presented; returns
+// { session } or { error, status }
+export const authorizeSessionClient = async (id, secret) => {
+  const session = await getSession(id);
+  if (!session) return { error: 'Session not found', status: 404 };
+  if (!isClientSecret(session, secret)) return { error: 'A valid session secret is required', status: 401 };
+  return { session };
+};
+
+const isEnforcementEnd = ({ type, data }) => type === 'enforcement' &&
+  (data.action === 'ended' || (data.action === 'strike' && data.level === 'end'));
+
+// A session ended by enforcement, whether or not the client got to finalize it
+export const isTerminated = (session) => session.outcome === 'terminated' || session.events.some(isEnforcementEnd);
+
+const getEnforcementActions = (session) => session.events
+  .filter(({ type }) => type === 'enforcement')
+  .map(({ data }) => data);
+
+// Strikes the client counted for the session, oldest first: [{ violationType, strikeAt }].
+// The page replays them after a reload so the count goes on where it stopped.
+export const getStrikeHistory = (session) => getEnforcementActions(session)
+  .filter(({ action }) => action === 'strike')
+  .map(({ violationType, strikeAt }) => ({ violationType, strikeAt }));
+
+// The acknowledgment or pause the session still had open, restored after a reload too
+export const getOpenEnforcement = (session) => findOpenEnforcement(getEnforcementActions(session));
+
+export const listSessions = () => getSessionStore().list();
+
+// Append events; returns { session } or { error, status }
+export const appendSessionEvents = async (id, events) => {
+  const { events: normalized, error } = normalizeEvents(events);
+  if (error) return { error, status: 400 };
+
+  const existing = await getSessionStore().get(id);
+  if (!existing) return { error: 'Session not found', status: 404 };
+
+  // Checked inside the update, so a finalize that lands first wins
+  let finalized = false;
+  const session = await getSessionStore().update(id, (current) => {
+    if (current.status === SESSION_STATUS.FINALIZED) {
+      finalized = true;
+      return current;
+    }
+    return { ...current, updatedAt: new Date().toISOString(), events: [...current.events, ...normalized] };
+  });
+  if (finalized) return { error: 'Session is already finalized', status: 409 };
+
+  normalized.forEach(event => {
+    publishSessionEvent(id, `session.${event.type}`, event.data, event.timestamp);
+  });
+  return { session, appended: normalized };
+};
+
+// Judge a share from the evidence the browser reported and store the verdict
+// as a 'validation' event; returns { session, validation } or { error, status }
+export const recordValidation = async (id, evidence) => {
+  if (!evidence || typeof evidence !== 'object') return { error: 'evidence must be an object', status: 400 };
+
+  const existing = await getSessionStore().get(id);
+  if (!existing) return { error: 'Session not found', status: 404 };
+  if (existing.status === SESSION_STATUS.FINALIZED) {
+    return { error: 'Session is already finalized', status: 409 };
+  }
+
+  const { policy, error, status } = await getSessionPolicy(existing);
+  if (error) return { error, status };
+
+  const now = new Date().toISOString();
+  const verdict = judgeShare(evidence, policy);
+  const event = { type: 'validation', timestamp: now, receivedAt: now, data: verdict };
+
+  // A share request gets one verdict, for the attempt started before it
+  let attemptMissing = false;
+  let finalized = false;
+  const session = await getSessionStore().update(id, (current) => {
+    if (current.status === SESSION_STATUS.FINALIZED) {
+      finalized = true;
+      return current;
+    }
+    let { attempts } = current;
+    if (verdict.trigger === 'request') {
+      attempts = judgeAttempt(current.attempts, verdict.decision === 'accepted');
+      if (!attempts) {
+        attemptMissing = true;
+        return current;
+      }
+    }
+    return { ...current, attempts, updatedAt: now, events: [...current.events, event] };
+  });
+  if (finalized) return { error: 'Session is already finalized', status: 409 };
+  if (attemptMissing) return { error: 'No share attempt is waiting for a verdict', status: 409 };
+
+  publishSessionEvent(id, 'session.validation', verdict, now);
+  return { session, validation: verdict };
+};
+
+// Start a share attempt under the session policy's attempt limit; returns
+// { session, attempt: { count, lockedUntil } } where lockedUntil is null when
+// the attempt may go ahead, or { error, status }
+export const recordAttempt = async (id) => {
+  const existing = await getSessionStore().get(id);
+  if (!existing) return { error: 'Session not found', status: 404 };
+  if (existing.status === SESSION_STATUS.FINALIZED) {
+    return { error: 'Session is already finalized', status: 409 };
+  }
+  if (isTerminated(existing)) return { error: 'Session was ended by enforcement', status: 409 };
+
+  const { policy, error, status } = await getSessionPolicy(existing);
+  if (error) return { error, status };
+
+  const now = new Date();
+  let attempt = null;
+  const session = await getSessionStore().update(id, (current) => {
+    if (current.status === SESSION_STATUS.FINALIZED) return current;
+    const { attempts, lockedUntil } = startAttempt(current.attempts || EMPTY_ATTEMPTS, policy.attempts, now.getTime());
+    attempt = {
+      count: attempts.count,
+      // Infinity does not survive JSON, so a lockout for the rest of the session has no end time
+      lockedUntil: lockedUntil === null || lockedUntil === Infinity ? null : new Date(lockedUntil).toISOString(),
+      locked: lockedUntil !== null
+    };
+    const event = { type: 'attempt', timestamp: now.toISOString(), receivedAt: now.toISOString(), data: attempt };
+    return { ...current, attempts, updatedAt: now.toISOString(), events: [...current.events, event] };
+  });
+  if (!attempt) return { error: 'Session is already finalized', status: 409 };
+
+  publishSessionEvent(id, 'session.attempt', attempt, now.toISOString());
+  return { session, attempt };
+};
+
+// Close a session with its outcome; returns { session } or { error, status }
+export const finalizeSession = async (id, outcome = 'completed') => {
+  const existing = await getSessionStore().get(id);
+  if (!existing) return { error: 'Session not found', status: 404 };
+
+  const now = new Date().toISOString();
+  let finalized = false;
+  const session = await getSessionStore().update(id, (current) => {
+    if (current.status === SESSION_STATUS.FINALIZED) {
+      finalized = true;
+      return current;
+    }
+    return {
+      ...current,
+      status: SESSION_STATUS.FINALIZED,
+      outcome: typeof outcome === 'string' ? outcome : 'completed',
+      updatedAt: now,
+      finalizedAt: now
+    };
+  });
+  if (finalized) return { error: 'Session is already finalized', status: 409 };
+
+  publishSessionEvent(id, 'session.finalized', { outcome: session.outcome }, now);
+  return { session };
+};
+
+// Mark a silent session as lost and keep the change in its history. A
+// heartbeat or finalize that landed since the sweep read the session wins.
+const markSessionLost = async ({ id, lastHeartbeatAt, createdAt }, { timeoutMs }) => {
+  const now = new Date().toISOString();
+  const event = {
+    type: 'lost',
+    timestamp: now,
+    receivedAt: now,
+    data: { lastHeartbeatAt: lastHeartbeatAt || null, lastSeenAt: getLastSeenAt({ lastHeartbeatAt, createdAt }), timeoutMs }
+  };
+  let marked = false;
+  await getSessionStore().update(id, (current) => {
+    if (current.status !== SESSION_STATUS.ACTIVE || current.lastHeartbeatAt !== lastHeartbeatAt) return current;
+    marked = true;
+    return {
+      ...current,
+      status: SESSION_STATUS.LOST,
+      updatedAt: now,
+      events: [...current.events, event]
+    };
+  });
+  if (marked) publishSessionEvent(id, 'session.lost', event.data, now);
+};
+
+// Sessions count from their creation, so one whose client never sent a
+// heartbeat is caught too
+const liveness = createLivenessSweeper({ listSessions, onLost: markSessionLost });
+liveness.start();
+
+// Heartbeats only update the session, they are not stored as events.
+// A heartbeat from a lost session brings it back; one that races a finalize
+// leaves the finalized session alone.
+export const recordHeartbeat = async (id, data = {}) => {
+  const existing = await getSessionStore().get(id);
+  if (!existing) return { error: 'Session not found', status: 404 };
+
+  const now = new Date().toISOString();
+  const heartbeat = {
+    streamActive: Boolean(data.streamActive),
+    monitoring: Boolean(data.monitoring),
+    cursor: data.cursor && typeof data.cursor === 'object' ? data.cursor : null
+  };
+  let finalized = false;
+  let resumeEvent = null;
+
+  const session = await getSessionStore().update(id, (current) => {
+    if (current.status === SESSION_STATUS.FINALIZED) {
+      finalized = true;
+      return current;
+    }
+    resumeEvent = current.status === SESSION_STATUS.LOST
+      ? { type: 'resumed', timestamp: now, receivedAt: now, data: { lostSince: current.updatedAt } }
+      : null;
+    return {
+      ...current,
+      status: SESSION_STATUS.ACTIVE,
+      updatedAt: now,
+      lastHeartbeatAt: now,
+      lastHeartbeat: heartbeat,
+      events: resumeEvent ? [...current.events, resumeEvent] : current.events
+    };
+  });
+  if (finalized) return { error: 'Session is already finalized', status: 409 };
+
+  if (resumeEvent) publishSessionEvent(id, 'session.resumed', resumeEvent.data, now);
+  publishSessionEvent(id, 'session.heartbeat', heartbeat, now);
+  return { session, timeoutMs: liveness.timeoutMs };
+};
@@ -0,0 +1,66 @@
+// Server-side verdicts on shares. The browser sends what its capture reported
+// (track label, settings, capabilities, screen size, audio track state) and the
+// server runs the same validation engine against the session's policy, so the
+// accepted/rejected decision that attestations sign is never written by a client.
+import { validateDisplaySurface, checkScreenConsistency } from '../screenShareValidation';
+import { checkAudioTracks } from '../audioCheck';
+
+const asObject = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+
+// A stand-in for a MediaStreamTrack built from the reported values
+const toTrack = ({ label, settings, capabilities }) => ({
+  label: typeof label === 'string' ? label : '',
+  getSettings: () => asObject(settings),
+  getCapabilities: () => asObject(capabilities)
+});
+
+const toScreenSize = (screen) => {
+  const { width, height, devicePixelRatio } = asObject(screen);
+  if (typeof width !== 'number' || typeof height !== 'number') return null;
+  return { width, height, devicePixelRatio: typeof devicePixelRatio === 'number' ? devicePixelRatio : 1 };
+};
+
+// checkAudioTracks expects a stream; rebuild one from the reported track state
+const toAudioStream = (audio) => {
+  const { trackCount, readyState, muted, label, settings } = asObject(audio);
+  const tracks = typeof trackCount === 'number' && trackCount > 0
+    ? [{ readyState, muted: Boolean(muted), label: typeof label === 'string' ? label : '', getSettings: () => asObject(settings) }]
+    : [];
+  return { getAudioTracks: () => tracks };
+};
+
+// Judge reported share evidence; returns the data of a 'validation' event
+export const judgeShare = (evidence, policy) => {
+  const { screen, audio } = asObject(evidence);
+  const trigger = typeof evidence?.trigger === 'string' ? evidence.trigger : 'request';
+  const track = toTrack(asObject(evidence));
+  const screenSize = toScreenSize(screen);
+
+  // Like the browser, the screen match and audio are only judged when the share
+  // is requested; later track changes re-check the surface alone
+  const isRequest = trigger === 'request';
+  const validation = validateDisplaySurface(track, screenSize, policy);
+  const consistency = isRequest && validation.isValid && validation.surface === 'monitor'
+    ? checkScreenConsistency(track, screenSize)
+    : null;
+  const audioCheck = isRequest && validation.isValid && policy.audio.required
+    ? checkAudioTracks(toAudioStream(audio))
+    : null;
+
+  const isAccepted = validation.isValid &&
+    (consistency ? consistency.isConsistent : true) &&
+    (audioCheck ? audioCheck.isValid : true);
+
+  return {
+    trigger,
+    policyId: policy.id,
+    label: track.label,
+    settings: track.getSettings(),
+    decision: isAccepted ? 'accepted' : 'rejected',
+    surface: validation.surface,
+    signal: validation.signal,
+    confidence: validation.confidence,
+    consistency,
+    ...(audioCheck && { audio: audioCheck })
+  };
+};
@@ -0,0 +1,72 @@
+// In-memory WebRTC signaling hub. Peers hold a server-sent events stream
+// open per session and exchange offers, answers and ICE candidates through it.
+// State lives in this Node process, so it needs a long-running `next start` server.
+//
+// Each peer gets a secret in its welcome message and must send it with every
+// relay, so a message always comes from the connection that owns the secret.
+// Candidates and proctors only ever learn about peers of the other role.
+import { randomUUID, randomBytes } from 'crypto';
+import { openEventStream } from './eventStream';
+
+export const PEER_ROLES = {
+  CANDIDATE: 'candidate',
+  PROCTOR: 'proctor'
+};
+
+// Messages peers may relay to each other
+export const RELAY_TYPES = ['offer', 'answer', 'candidate', 'bye'];
+
+const sessions = new Map(); // sessionId -> Map(peerId -> { role, secret, send })
+const secrets = new Map(); // secret -> { sessionId, peerId }
+
+const getPeers = (sessionId) => {
+  if (!sessions.has(sessionId)) sessions.set(sessionId, new Map());
+  return sessions.get(sessionId);
+};
+
+// Peers a peer of this role may see and talk to
+const getCounterparts = (peers, role, exceptId) => Array.from(peers.entries())
+  .filter(([id, peer]) => id !== exceptId && peer.role !== role);
+
+// Register an SSE response as a peer; returns its id
+export const connectPeer = (sessionId, role, req, res) => {
+  const peerId = randomUUID();
+  const secret = randomBytes(32).toString('base64url');
+  const peers = getPeers(sessionId);
+
+  const send = openEventStream(req, res, () => {
+    peers.delete(peerId);
+    secrets.delete(secret);
+    getCounterparts(peers, role).forEach(([, peer]) => peer.send({ type: 'peer-left', peerId, role }));
+    if (peers.size === 0) sessions.delete(sessionId);
+  });
+  const others = getCounterparts(peers, role);
+
+  peers.set(peerId, { role, secret, send });
+  secrets.set(secret, { sessionId, peerId });
+  send({ type: 'welcome', peerId, secret, peers: others.map(([id, peer]) => ({ peerId: id, role: peer.role })) });
+  others.forEach(([, peer]) => peer.send({ type: 'peer-joined', peerId, role }));
+
+  return peerId;
+};
+
+// Forward a message from the peer owning secret to a peer of the other role
+export const relayMessage = (sessionId, { secret, to, type, payload }) => {
+  const owner = typeof secret === 'string' ? secrets.get(secret) : null;
+  if (!owner || owner.sessionId !== sessionId) return { error: 'Sender is not connected', status: 403 };
+
+  const peers = sessions.get(sessionId);
+  const sender = peers.get(owner.peerId);
+  const recipient = peers.get(to);
+  if (!recipient || recipient.role === sender.role) return { error: 'Recipient is not connected', status: 404 };
+  if (!RELAY_TYPES.includes(type)) return { error: `Unsupported message type "${type}"`, status: 400 };
+
+  recipient.send({ type, from: owner.peerId, payload });
+  return { delivered: true };
+};
+
+export const countPeers = (sessionId, role) => {
+  const peers = sessions.get(sessionId);
+  if (!peers) return 0;
+  return Array.from(peers.values()).filter(peer => !role || peer.role === role).length;
+};
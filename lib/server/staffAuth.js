@@ -0,0 +1,29 @@
+// Credential for exam staff: proctors watching a live share and host backends
+// provisioning sessions. Set PROCTOR_TOKEN on the server; without it every
+// staff-only action is refused.
+import { timingSafeEqual } from 'crypto';
+
+export const getProctorToken = () => process.env.PROCTOR_TOKEN || null;
+
+// Constant-time check of a presented token
+export const isProctorToken = (token, expected = getProctorToken()) => {
+  if (!expected || typeof token !== 'string') return false;
+  const actual = Buffer.from(token);
+  const wanted = Buffer.from(expected);
+  return actual.length === wanted.length && timingSafeEqual(actual, wanted);
+};
+
+// "Authorization: Bearer <token>" from an API request, or null
+export const getBearerToken = (req) => {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+};
+
+// Refuse a staff-only request; returns { error, status }, or null when the token is valid
+export const checkProctorToken = (token) => {
+  if (!getProctorToken()) {
+    return { error: 'Staff access is not configured (PROCTOR_TOKEN is missing)', status: 503 };
+  }
+  if (!isProctorToken(token)) return { error: 'A valid proctor token is required', status: 401 };
+  return null;
+};
@@ -0,0 +1,151 @@
+// Webhook delivery for session events: HMAC-signed payloads, event-type
+// filtering, retries with exponential backoff and a dead-letter log.
+//
+// Endpoints come from WEBHOOK_ENDPOINTS, a JSON array such as
+//   [{ "url": "https://example.com/hook", "secret": "…", "events": ["session.violation", "session.interruption"] }]
+// "events" accepts exact types, prefixes ending in "*" (e.g. "session.*") or "*" for everything;
+// without "events" an endpoint gets every type. Heartbeats are the exception: see OPT_IN_EVENT_TYPES.
+import { createHmac } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { subscribeToSessionEvents } from './sessionEvents';
+
+const DEFAULT_DEAD_LETTER_PATH = path.join(process.cwd(), 'data', 'webhook-dead-letters.jsonl');
+
+export const DEFAULT_WEBHOOK_OPTIONS = {
+  maxAttempts: 5,
+  baseDelayMs: 1000,
+  timeoutMs: 5000
+};
+
+export const loadWebhookEndpoints = (value = process.env.WEBHOOK_ENDPOINTS) => {
+  if (!value) return [];
+  try {
+    const endpoints = JSON.parse(value);
+    if (!Array.isArray(endpoints)) throw new Error('WEBHOOK_ENDPOINTS must be a JSON array');
+    return endpoints.filter(endpoint => {
+      if (typeof endpoint?.url === 'string') return true;
+      console.warn('Ignoring webhook endpoint without a url:', endpoint);
+      return false;
+    });
+  } catch (error) {
+    console.error('Invalid WEBHOOK_ENDPOINTS configuration:', error);
+    return [];
+  }
+};
+
+// Every open session sends a heartbeat each 10s, so only endpoints that list
+// these types by name get them; no wildcard or missing filter includes them
+export const OPT_IN_EVENT_TYPES = ['session.heartbeat'];
+
+export const matchesEventType = (patterns, type) => {
+  const listed = Array.isArray(patterns) && patterns.length > 0;
+  if (OPT_IN_EVENT_TYPES.includes(type)) return listed && patterns.includes(type);
+  if (!listed) return true;
+  return patterns.some(pattern =>
+    pattern === '*' || pattern === type ||
+    (pattern.endsWith('*') && type.startsWith(pattern.slice(0, -1)))
+  );
+};
+
+// Signature over "<timestamp>.<body>" so a captured payload cannot be replayed with a new timestamp
+export const signWebhookPayload = (body, secret, timestamp) =>
+  `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Exponential backoff: base, 2×base, 4×base, …
+export const getRetryDelay = (attempt, baseDelayMs) => baseDelayMs * 2 ** (attempt - 1);
+
+export const createWebhookDispatcher = ({
+  endpoints = loadWebhookEndpoints(),
+  fetchImpl = (...args) => fetch(...args),
+  schedule = setTimeout,
+  deadLetterPath = process.env.WEBHOOK_DEAD_LETTER_PATH || DEFAULT_DEAD_LETTER_PATH,
+  ...options
+} = {}) => {
+  const { maxAttempts, baseDelayMs, timeoutMs } = { ...DEFAULT_WEBHOOK_OPTIONS, ...options };
+
+  const writeDeadLetter = async (endpoint, event, attempts, lastError) => {
+    const record = {
+      failedAt: new Date().toISOString(),
+      url: endpoint.url,
+      attempts,
+      lastError,
+      event
+    };
+    console.error(`Webhook delivery to ${endpoint.url} failed after ${attempts} attempts:`, lastError);
+    try {
+      await fs.mkdir(path.dirname(deadLetterPath), { recursive: true });
+      await fs.appendFile(deadLetterPath, `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      console.error('Could not write webhook dead letter:', error);
+    }
+  };
+
+  // One delivery attempt; resolves to null on success or an error description
+  const send = async (endpoint, event, attempt) => {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': event.type,
+      'X-Webhook-Id': event.id,
+      'X-Webhook-Attempt': String(attempt),
+      'X-Webhook-Timestamp': timestamp
+    };
+    if (endpoint.secret) {
+      headers['X-Webhook-Signature'] = signWebhookPayload(body, endpoint.secret, timestamp);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetchImpl(endpoint.url, { method: 'POST', headers, body, signal: controller.signal });
+      return response.ok ? null : `HTTP ${response.status}`;
+    } catch (error) {
+      return error.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : error.message;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const deliver = async (endpoint, event, attempt = 1) => {
+    const error = await send(endpoint, event, attempt);
+    if (!error) return;
+
+    if (attempt >= maxAttempts) {
+      await writeDeadLetter(endpoint, event, attempt, error);
+      return;
+    }
+
+    const delay = getRetryDelay(attempt, baseDelayMs);
+    console.warn(`Webhook delivery to ${endpoint.url} failed (${error}), retrying in ${delay}ms`);
+    schedule(() => deliver(endpoint, event, attempt + 1), delay);
+  };
+
+  // Send an event to every endpoint subscribed to its type
+  const dispatch = (event) => {
+    const targets = endpoints.filter(endpoint => matchesEventType(endpoint.events, event.type));
+    return Promise.all(targets.map(endpoint => deliver(endpoint, event)));
+  };
+
+  return { dispatch, endpoints };
+};
+
+let stopDispatcher = null;
+
+// Feed the session event stream into the configured webhooks (idempotent)
+export const startWebhookDispatcher = (options) => {
+  if (stopDispatcher) return stopDispatcher;
+
+  const dispatcher = createWebhookDispatcher(options);
+  if (dispatcher.endpoints.length === 0) return () => {};
+
+  const unsubscribe = subscribeToSessionEvents(event => {
+    dispatcher.dispatch(event);
+  });
+  stopDispatcher = () => {
+    unsubscribe();
+    stopDispatcher = null;
+  };
+  return stopDispatcher;
+};
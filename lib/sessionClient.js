@@ -0,0 +1,213 @@
+// Browser client for the /api/sessions routes. Network failures are logged
+// and never interrupt the screen sharing flow.
+
+// Writes to a session carry the client secret the server returned when it was created
+const request = async (url, body, secret = null) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(secret && { 'X-Session-Secret': secret }) },
+    body: JSON.stringify(body)
+  });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(payload.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    error.payload = payload;
+    throw error;
+  }
+  return payload;
+};
+
+const sessionUrl = (session, route) => `/api/sessions/${encodeURIComponent(session.id)}/${route}`;
+
+// The server judges every share in the session against its own policy.
+// Returns { id, secret }, the credentials every later call takes as session.
+export const createSession = async (metadata = {}) => {
+  const { session, clientSecret } = await request('/api/sessions', { metadata });
+  return { id: session.id, secret: clientSecret };
+};
+
+export const appendSessionEvents = (session, events) =>
+  request(sessionUrl(session, 'events'), { events }, session.secret);
+
+// The server stores its own verdict on the reported share; returns { validation }
+export const submitValidation = (session, evidence) =>
+  request(sessionUrl(session, 'validations'), { evidence }, session.secret);
+
+// Count a share attempt against the session's limit; returns { count, locked, lockedUntil }
+export const startAttempt = async (session) => {
+  try {
+    return (await request(sessionUrl(session, 'attempts'), {}, session.secret)).attempt;
+  } catch (error) {
+    // A locked session answers 423 with the attempt that was refused
+    if (error.status === 423 && error.payload.attempt) return error.payload.attempt;
+    throw error;
+  }
+};
+
+export const finalizeSession = (session, outcome) =>
+  request(sessionUrl(session, 'finalize'), { outcome }, session.secret);
+
+export const sendHeartbeat = (session, data) =>
+  request(sessionUrl(session, 'heartbeat'), data, session.secret);
+
+// Ask the server for a signed attestation of the session's accepted share
+export const requestAttestation = (session) =>
+  request('/api/attest', { sessionId: session.id }, session.secret);
+
+// Survives a reload of the tab, so attempts keep counting against the same session
+const STORED_SESSION_KEY = 'screenShareSession';
+
+const storeSession = (session) => {
+  try {
+    if (session) window.sessionStorage.setItem(STORED_SESSION_KEY, JSON.stringify(session));
+    else window.sessionStorage.removeItem(STORED_SESSION_KEY);
+  } catch {
+    // Storage can be unavailable, e.g. in sandboxed iframes
+  }
+};
+
+// The { id, secret } this tab stored, or null
+export const getStoredSession = () => {
+  try {
+    const session = JSON.parse(window.sessionStorage.getItem(STORED_SESSION_KEY));
+    return typeof session?.id === 'string' && typeof session.secret === 'string' ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+// Tracks the current server session. Nothing reaches the server until start()
+// runs when the candidate starts a share; page-load context passed to note()
+// stays local until then and opens every new session. A session still open on
+// the server (provisioned by the host, or left by a reload) is passed to
+// adopt() with its secret and resumed instead of creating a new one.
+export const createSessionTracker = () => {
+  let sessionPromise = null;
+  let adopted = null;
+  const context = {}; // type -> latest data noted for it
+
+  const send = async (session, events) => {
+    try {
+      await appendSessionEvents(session, events);
+    } catch (error) {
+      console.warn(`Could not send "${events.map(event => event.type).join('", "')}" session event:`, error);
+    }
+  };
+
+  const toEvent = (type, data) => ({ type, timestamp: new Date().toISOString(), data });
+
+  const open = (existing) => {
+    const opening = existing ? Promise.resolve(existing) : createSession({
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null
+    });
+    sessionPromise = opening.then(async session => {
+      storeSession(session);
+      const noted = Object.entries(context).map(([type, data]) => toEvent(type, data));
+      if (noted.length > 0) await send(session, noted);
+      return session;
+    }).catch(error => {
+      console.warn('Could not create server session:', error);
+      sessionPromise = null;
+      return null;
+    });
+    return sessionPromise;
+  };
+
+  // Resume this open server session, { id, secret }, on the next start()
+  const adopt = (session) => {
+    adopted = session || null;
+  };
+
+  // Open the server session for a share that is starting, once, and count the
+  // attempt against it. Returns the server's { count, locked, lockedUntil }, or
+  // null when the server could not be reached.
+  const start = async () => {
+    const session = await (sessionPromise || open(adopted));
+    if (!session) return null;
+    try {
+      return await startAttempt(session);
+    } catch (error) {
+      // An adopted session may have been finalized meanwhile
+      if (session === adopted && (error.status === 404 || error.status === 409)) {
+        adopted = null;
+        sessionPromise = null;
+        return start();
+      }
+      console.warn('Could not start share attempt:', error);
+      return null;
+    }
+  };
+
+  // The session of the share in progress, or null before start()
+  const getSession = () => sessionPromise || Promise.resolve(null);
+
+  // Send an event to the current session; dropped when no share has started
+  const record = async (type, data = {}) => {
+    const session = await getSession();
+    if (!session) return;
+    await send(session, [toEvent(type, data)]);
+  };
+
+  // Keep context about the page (policy, simulator, preflight) for the next
+  // session, and send it right away when one is open
+  const note = (type, data = {}) => {
+    context[type] = data;
+    return record(type, data);
+  };
+
+  // Send what the capture reported for the server to judge; returns the
+  // server's verdict, or null when it could not be recorded
+  const validate = async (evidence) => {
+    const session = await getSession();
+    if (!session) return null;
+    try {
+      return (await submitValidation(session, evidence)).validation;
+    } catch (error) {
+      console.warn('Could not send validation evidence:', error);
+      return null;
+    }
+  };
+
+  // Close the current session; the next start() opens a new one. An adopted
+  // session stays open through restarts: the host may have provisioned it
+  // with its policy, and only the host can open another. Returns true when the
+  // next start() opens a new session.
+  const finalize = async (outcome) => {
+    if (!sessionPromise) return !adopted;
+    // Clear it first so events recorded meanwhile go to the next session
+    const pending = sessionPromise;
+    sessionPromise = null;
+    const session = await pending;
+    if (!session) return true;
+    if (outcome === 'restarted' && session === adopted) return false;
+    adopted = null;
+    // A terminated session stays with the tab, so a reload shows it ended
+    if (outcome !== 'terminated') storeSession(null);
+    try {
+      await finalizeSession(session, outcome);
+    } catch (error) {
+      console.warn('Could not finalize server session:', error);
+    }
+    return true;
+  };
+
+  const getSessionId = async () => (await getSession())?.id || null;
+
+  // The { id, secret } of the share in progress, or null before start()
+  const getCredentials = getSession;
+
+  // Returns { token, claims } or null when the server cannot attest
+  const attest = async () => {
+    const session = await getSession();
+    if (!session) return null;
+    try {
+      return await requestAttestation(session);
+    } catch (error) {
+      console.warn('Could not obtain attestation:', error);
+      return null;
+    }
+  };
+
+  return { start, adopt, record, note, validate, finalize, getSessionId, getCredentials, attest };
+};
@@ -0,0 +1,130 @@
+// Timestamped session audit log, persisted in localStorage so it survives
+// reloads and can be exported as JSON or CSV.
+
+const STORAGE_KEY = 'screen-share-session-log';
+
+// Oldest entries are dropped beyond this size to stay within storage quota
+const MAX_ENTRIES = 1000;
+
+export const LOG_EVENT_TYPES = {
+  STEP: 'step',
+  VALIDATION: 'validation',
+  VIOLATION: 'violation',
+  // Duration and final message of a violation episode that has ended
+  VIOLATION_UPDATE: 'violation-update',
+  INTERRUPTION: 'interruption',
+  SNAPSHOT: 'snapshot',
+  ENFORCEMENT: 'enforcement',
+  ERROR: 'error'
+};
+
+// Snapshot images are large, so only the most recent ones keep their data
+const MAX_SNAPSHOT_IMAGES = 20;
+
+const listeners = new Set();
+let entries = null;
+
+const hasStorage = () => typeof window !== 'undefined' && Boolean(window.localStorage);
+
+const load = () => {
+  if (entries) return entries;
+  entries = [];
+  if (!hasStorage()) return entries;
+
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    entries = Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('Could not read session log, starting a new one:', error);
+  }
+  return entries;
+};
+
+const save = () => {
+  if (!hasStorage()) return;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.warn('Could not persist session log:', error);
+  }
+};
+
+const notify = () => {
+  listeners.forEach(listener => listener(entries));
+};
+
+// Drop image data from all but the newest snapshots; metadata stays in the log
+const pruneSnapshotImages = (logEntries) => {
+  let kept = 0;
+  for (let i = logEntries.length - 1; i >= 0; i--) {
+    const entry = logEntries[i];
+    if (entry.type !== LOG_EVENT_TYPES.SNAPSHOT || !entry.data.dataUrl) continue;
+    kept++;
+    if (kept > MAX_SNAPSHOT_IMAGES) {
+      const { dataUrl, ...data } = entry.data;
+      logEntries[i] = { ...entry, data: { ...data, imagePruned: true } };
+    }
+  }
+  return logEntries;
+};
+
+// Append an entry and persist it
+export const logEvent = (type, data = {}) => {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    timestamp: new Date().toISOString(),
+    data
+  };
+
+  entries = pruneSnapshotImages([...load(), entry].slice(-MAX_ENTRIES));
+  save();
+  notify();
+  return entry;
+};
+
+export const getSessionLog = () => load();
+
+export const clearSessionLog = () => {
+  entries = [];
+  save();
+  notify();
+};
+
+// Subscribe to log changes; returns an unsubscribe function
+export const onSessionLogChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const exportAsJSON = (logEntries) => JSON.stringify(logEntries, null, 2);
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per entry; nested data is kept as JSON in the last column
+export const exportAsCSV = (logEntries) => {
+  const header = ['timestamp', 'type', 'summary', 'data'];
+  const rows = logEntries.map(entry => [
+    entry.timestamp,
+    entry.type,
+    entry.data.step || entry.data.violationType || entry.data.decision || entry.data.message || entry.data.reason || '',
+    JSON.stringify(entry.data)
+  ]);
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+};
+
+// Save an export through a temporary download link
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
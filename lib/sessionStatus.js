@@ -0,0 +1,101 @@
+// Live status of a session for the proctor dashboard, folded from its session
+// events. Used by the server for the initial snapshot and by the dashboard
+// for every event that follows, so both sides agree on the result.
+import { getLevelRank } from './enforcement';
+
+export const createSessionStatus = ({
+  id,
+  status = 'active',
+  createdAt,
+  finalizedAt = null,
+  outcome = null,
+  lastHeartbeatAt = null,
+  lastHeartbeat = null
+}) => ({
+  id,
+  status,
+  createdAt,
+  finalizedAt,
+  outcome,
+  step: null,
+  attempts: 0,
+  monitoring: null,
+  violationCount: 0,
+  lastViolation: null,
+  enforcementLevel: null,
+  interrupted: false,
+  lastSeenAt: createdAt,
+  lastHeartbeatAt,
+  streamActive: lastHeartbeat ? lastHeartbeat.streamActive : null,
+  cursor: lastHeartbeat ? lastHeartbeat.cursor : null
+});
+
+// Apply one published event ({ type: 'session.<type>', timestamp, data })
+export const applySessionEvent = (status, { type, timestamp, data = {} }) => {
+  const next = { ...status, lastSeenAt: timestamp || status.lastSeenAt };
+
+  switch (type) {
+    case 'session.step':
+      next.step = data.step;
+      next.attempts = typeof data.attempts === 'number' ? data.attempts : status.attempts;
+      next.monitoring = typeof data.monitoring === 'boolean' ? data.monitoring : status.monitoring;
+      next.interrupted = data.step === 'interrupted';
+      break;
+    case 'session.attempt':
+      next.attempts = data.count;
+      break;
+    case 'session.violation':
+      next.violationCount = status.violationCount + 1;
+      next.lastViolation = { id: data.violationId, type: data.violationType, message: data.message, timestamp };
+      break;
+    case 'session.violation-update':
+      // Only the message changes; the episode was counted when it started
+      if (status.lastViolation && status.lastViolation.id === data.violationId) {
+        next.lastViolation = { ...status.lastViolation, message: data.message };
+      }
+      break;
+    case 'session.enforcement':
+      // The most severe step any violation type has reached
+      if (data.action === 'strike' && getLevelRank(data.level) > getLevelRank(status.enforcementLevel)) {
+        next.enforcementLevel = data.level;
+      }
+      break;
+    case 'session.interruption':
+      next.interrupted = true;
+      break;
+    case 'session.heartbeat':
+      next.lastHeartbeatAt = timestamp;
+      next.streamActive = data.streamActive;
+      next.monitoring = data.monitoring;
+      next.cursor = data.cursor;
+      break;
+    case 'session.lost':
+      next.status = 'lost';
+      // Losing a client says nothing about when it was last seen
+      next.lastSeenAt = status.lastSeenAt;
+      break;
+    case 'session.resumed':
+      next.status = 'active';
+      break;
+    case 'session.finalized':
+      next.status = 'finalized';
+      next.outcome = data.outcome;
+      next.finalizedAt = timestamp;
+      break;
+    default:
+      break;
+  }
+  return next;
+};
+
+// Rebuild the status of a stored session from its event history
+export const summarizeSession = (session) => session.events.reduce(
+  (status, event) => applySessionEvent(status, { ...event, type: `session.${event.type}` }),
+  createSessionStatus(session)
+);
+
+export const SESSION_FILTERS = {
+  hasViolations: { label: 'Has violations', matches: status => status.violationCount > 0 },
+  interrupted: { label: 'Share interrupted', matches: status => status.interrupted },
+  lost: { label: 'Lost contact', matches: status => status.status === 'lost' }
+};
@@ -0,0 +1,66 @@
+// Browser side of the /api/signal server-sent events channel and the
+// RTCPeerConnection setup shared by the candidate and proctor pages.
+
+// Local-only peer connections: no STUN or TURN servers, host candidates only
+export const RTC_CONFIGURATION = { iceServers: [] };
+
+// Open the signaling stream; onMessage receives every server message, plus a
+// local { type: 'rejected' } when the server refuses the stream for good.
+// Proctors pass the PROCTOR_TOKEN credential as token, the candidate the
+// session's client secret as secret.
+export const createSignalingChannel = (sessionId, role, onMessage, { token, secret: clientSecret } = {}) => {
+  const url = `/api/signal/${encodeURIComponent(sessionId)}`;
+  const query = new URLSearchParams({
+    role,
+    ...(token && { token }),
+    ...(clientSecret && { secret: clientSecret })
+  });
+  const source = new EventSource(`${url}?${query}`);
+  let secret = null; // Proves our messages come from this connection
+
+  source.onmessage = (event) => {
+    const message = JSON.parse(event.data);
+    if (message.type === 'welcome') secret = message.secret;
+    onMessage(message);
+  };
+
+  source.onerror = () => {
+    // An error response closes the stream; otherwise EventSource reconnects
+    // on its own and the server sends a new welcome
+    if (source.readyState === EventSource.CLOSED) {
+      onMessage({ type: 'rejected' });
+      return;
+    }
+    console.warn('Signaling connection lost, reconnecting…');
+  };
+
+  // Never throws: a lost message is logged, and callers need not await it
+  const send = async (to, type, payload) => {
+    if (!secret) return;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ secret, to, type, payload })
+      });
+      if (!response.ok) {
+        console.warn(`Signaling "${type}" to ${to} failed with status ${response.status}`);
+      }
+    } catch (error) {
+      console.warn(`Signaling "${type}" to ${to} failed:`, error);
+    }
+  };
+
+  const close = () => source.close();
+
+  return { send, close };
+};
+
+// Wire ICE candidates of a peer connection to the signaling channel
+export const forwardIceCandidates = (peerConnection, channel, remotePeerId) => {
+  peerConnection.addEventListener('icecandidate', (event) => {
+    if (event.candidate) {
+      channel.send(remotePeerId, 'candidate', event.candidate.toJSON());
+    }
+  });
+};
@@ -0,0 +1,281 @@
+// Deterministic simulator for the screen share flow. It swaps in fake
+// navigator.mediaDevices, window.screen and getScreenDetails providers and
+// plays scripted events, so every branch can be exercised without a human
+// clicking through the browser picker.
+//
+// Only available when NEXT_PUBLIC_SIMULATOR_ENABLED=true, so a candidate can
+// never fake a share on a real deployment. Pick a scenario with ?simulate=<name>
+// or NEXT_PUBLIC_SIMULATOR_SCENARIO.
+
+export const isSimulatorEnabled = () => process.env.NEXT_PUBLIC_SIMULATOR_ENABLED === 'true';
+
+export const DEFAULT_SIMULATOR_SCENARIO = process.env.NEXT_PUBLIC_SIMULATOR_SCENARIO || null;
+
+export const SIMULATED_SCREEN = {
+  width: 1920,
+  height: 1080,
+  availWidth: 1920,
+  availHeight: 1040,
+  availLeft: 0,
+  availTop: 0,
+  left: 0,
+  top: 0,
+  devicePixelRatio: 1
+};
+
+const MONITOR_SHARE = { surface: 'monitor', label: 'Screen 1' };
+
+// Each scenario describes what the picker returns and a script of events,
+// timed in milliseconds from the moment the share is granted
+export const SIMULATOR_SCENARIOS = {
+  monitor: {
+    description: 'Entire screen shared',
+    share: MONITOR_SHARE
+  },
+  window: {
+    description: 'Application window shared',
+    share: { surface: 'window', label: 'Untitled - Notepad', width: 1280, height: 720 }
+  },
+  browser: {
+    description: 'Browser tab shared',
+    share: { surface: 'browser', label: 'Chrome Tab: Online Exam', width: 1280, height: 650 }
+  },
+  'label-only': {
+    description: 'No displaySurface reported, entire screen label',
+    share: { surface: null, label: 'Entire screen', reportSize: false }
+  },
+  'other-monitor': {
+    description: 'A second monitor with a different size shared',
+    share: { surface: 'monitor', label: 'Screen 2', width: 2560, height: 1440 }
+  },
+  denied: {
+    description: 'Picker dismissed or permission denied',
+    share: { error: 'NotAllowedError' }
+  },
+  'with-audio': {
+    description: 'Entire screen shared with system audio',
+    share: { ...MONITOR_SHARE, audio: true }
+  },
+  'track-ends': {
+    description: 'Share stopped from the browser bar after 5s',
+    share: MONITOR_SHARE,
+    script: [{ at: 5000, action: 'end-track' }]
+  },
+  'audio-ends': {
+    description: 'System audio stops after 4s while the screen keeps sharing',
+    share: { ...MONITOR_SHARE, audio: true },
+    script: [{ at: 4000, action: 'end-audio' }]
+  },
+  'track-muted': {
+    description: 'Video pauses for 3s, then resumes',
+    share: MONITOR_SHARE,
+    script: [{ at: 3000, action: 'mute' }, { at: 6000, action: 'unmute' }]
+  },
+  'switch-to-window': {
+    description: 'Shared surface switched to a window after 4s',
+    share: MONITOR_SHARE,
+    script: [{ at: 4000, action: 'switch-surface', surface: 'window', width: 1280, height: 720 }]
+  },
+  'second-monitor-cursor': {
+    description: 'Two displays connected; the cursor wanders onto the second one',
+    share: MONITOR_SHARE,
+    screens: 2,
+    script: [{
+      at: 2000,
+      action: 'cursor-path',
+      stepMs: 400,
+      path: [[400, 300], [1200, 500], [1900, 540], [2300, 560], [2600, 600], [1500, 500]]
+    }]
+  }
+};
+
+export const getScenario = (name) => SIMULATOR_SCENARIOS[name] || null;
+
+// Track settings and capabilities for a simulated share
+export const buildTrackDescription = (share, screen = SIMULATED_SCREEN) => {
+  const width = share.width || Math.round(screen.width * screen.devicePixelRatio);
+  const height = share.height || Math.round(screen.height * screen.devicePixelRatio);
+  const settings = { frameRate: 5, deviceId: `simulated-${share.surface || 'unknown'}` };
+  // Some browsers report no size, which leaves only the label to decide
+  if (share.reportSize !== false) Object.assign(settings, { width, height });
+  if (share.surface) settings.displaySurface = share.surface;
+  return {
+    label: share.label || '',
+    settings,
+    capabilities: share.surface ? { displaySurface: share.surface } : {}
+  };
+};
+
+// Make a track report the simulated label, settings and capabilities.
+// Works on real canvas tracks and on plain EventTarget fakes alike.
+export const decorateTrack = (track, description) => {
+  let settings = { ...description.settings };
+  Object.defineProperty(track, 'label', { value: description.label, configurable: true });
+  track.getSettings = () => ({ ...settings });
+  track.getCapabilities = () => ({ ...description.capabilities });
+  track.updateSettings = (changes) => {
+    settings = { ...settings, ...changes };
+  };
+  return track;
+};
+
+// Screens returned by the fake getScreenDetails(), side by side left to right
+export const buildScreenDetails = (count = 1, screen = SIMULATED_SCREEN) => {
+  const screens = Array.from({ length: count }, (_, index) => ({
+    ...screen,
+    left: screen.width * index,
+    availLeft: screen.width * index,
+    isPrimary: index === 0,
+    label: `Simulated Display ${index + 1}`
+  }));
+  return {
+    screens,
+    currentScreen: screens[0],
+    addEventListener: () => {},
+    removeEventListener: () => {}
+  };
+};
+
+const createDOMException = (name) => {
+  const messages = {
+    NotAllowedError: 'Permission denied (simulated)',
+    NotSupportedError: 'Not supported (simulated)'
+  };
+  if (typeof DOMException !== 'undefined') return new DOMException(messages[name] || name, name);
+  const error = new Error(messages[name] || name);
+  error.name = name;
+  return error;
+};
+
+// Fake navigator.mediaDevices; createStream(share) builds the stream to return
+// and onShare(stream, options) runs once a share is granted
+export const createFakeMediaDevices = (scenario, createStream, onShare) => ({
+  getSupportedConstraints: () => ({ displaySurface: true }),
+  getDisplayMedia: async (options) => {
+    if (scenario.share.error) throw createDOMException(scenario.share.error);
+    const stream = await createStream({ ...scenario.share, audio: scenario.share.audio && Boolean(options?.audio) });
+    if (onShare) onShare(stream, options);
+    return stream;
+  }
+});
+
+// Run a scenario script against a stream; perform(step) carries out one step.
+// Returns a function that cancels the steps still pending.
+export const runScript = (script = [], perform, schedule = setTimeout, cancel = clearTimeout) => {
+  const timers = [];
+  script.forEach(step => {
+    if (step.action === 'cursor-path') {
+      step.path.forEach(([screenX, screenY], index) => {
+        timers.push(schedule(() => perform({ action: 'cursor', screenX, screenY }), step.at + index * step.stepMs));
+      });
+    } else {
+      timers.push(schedule(() => perform(step), step.at));
+    }
+  });
+  return () => timers.forEach(timer => cancel(timer));
+};
+
+// Browser only: an animated canvas stream standing in for the captured screen,
+// plus an oscillator audio track when the share includes audio
+export const createSimulatedStream = (share, screen = SIMULATED_SCREEN) => {
+  const description = buildTrackDescription(share, screen);
+  const canvas = document.createElement('canvas');
+  canvas.width = description.settings.width || SIMULATED_SCREEN.width;
+  canvas.height = description.settings.height || SIMULATED_SCREEN.height;
+  const context = canvas.getContext('2d');
+
+  // Keep the picture changing so frame analysis does not see a frozen screen
+  let frame = 0;
+  const draw = () => {
+    frame++;
+    context.fillStyle = '#1e3a8a';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#ffffff';
+    context.font = `${Math.round(canvas.height / 20)}px sans-serif`;
+    context.fillText(`Simulated ${share.surface || 'share'}: ${description.label}`, 40, canvas.height / 3);
+    context.fillText(new Date().toLocaleTimeString(), 40, canvas.height / 2);
+    context.fillRect((frame * 20) % canvas.width, canvas.height - 80, 60, 40);
+  };
+  draw();
+  const drawTimer = setInterval(draw, 200);
+
+  const stream = canvas.captureStream(5);
+  const [videoTrack] = stream.getVideoTracks();
+  decorateTrack(videoTrack, description);
+  videoTrack.addEventListener('ended', () => clearInterval(drawTimer));
+
+  if (share.audio && typeof AudioContext !== 'undefined') {
+    const audioContext = new AudioContext();
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const destination = audioContext.createMediaStreamDestination();
+    gain.gain.value = 0.05;
+    oscillator.connect(gain).connect(destination);
+    oscillator.start();
+    destination.stream.getAudioTracks().forEach(track => {
+      Object.defineProperty(track, 'label', { value: 'System Audio (simulated)', configurable: true });
+      stream.addTrack(track);
+    });
+  }
+
+  return stream;
+};
+
+// Perform one scripted step against the shared stream
+const performStep = (step, stream, win) => {
+  const [videoTrack] = stream.getVideoTracks();
+  if (step.action === 'end-track') {
+    stream.getTracks().forEach(track => track.stop());
+    videoTrack.dispatchEvent(new Event('ended'));
+  } else if (step.action === 'end-audio') {
+    stream.getAudioTracks().forEach(track => {
+      track.stop();
+      track.dispatchEvent(new Event('ended'));
+    });
+  } else if (step.action === 'mute' || step.action === 'unmute') {
+    videoTrack.dispatchEvent(new Event(step.action));
+  } else if (step.action === 'switch-surface') {
+    videoTrack.updateSettings({ displaySurface: step.surface, width: step.width, height: step.height });
+    videoTrack.dispatchEvent(new Event('configurationchange'));
+  } else if (step.action === 'cursor') {
+    win.document.dispatchEvent(new MouseEvent('mousemove', { screenX: step.screenX, screenY: step.screenY }));
+  }
+};
+
+// Swap the browser providers for the scenario's fakes; returns an uninstall function
+export const installSimulator = (scenario, win = window) => {
+  const originals = {
+    mediaDevices: Object.getOwnPropertyDescriptor(win.navigator, 'mediaDevices'),
+    screen: Object.getOwnPropertyDescriptor(win, 'screen'),
+    getScreenDetails: Object.getOwnPropertyDescriptor(win, 'getScreenDetails')
+  };
+  let cancelScript = () => {};
+
+  const mediaDevices = createFakeMediaDevices(
+    scenario,
+    share => createSimulatedStream(share, SIMULATED_SCREEN),
+    (stream) => {
+      cancelScript();
+      cancelScript = runScript(scenario.script, step => performStep(step, stream, win));
+    }
+  );
+
+  Object.defineProperty(win.navigator, 'mediaDevices', { value: mediaDevices, configurable: true });
+  Object.defineProperty(win, 'screen', { value: { ...SIMULATED_SCREEN }, configurable: true });
+  Object.defineProperty(win, 'getScreenDetails', {
+    value: async () => buildScreenDetails(scenario.screens || 1),
+    configurable: true
+  });
+
+  return () => {
+    cancelScript();
+    Object.entries(originals).forEach(([key, descriptor]) => {
+      const target = key === 'mediaDevices' ? win.navigator : win;
+      if (descriptor) {
+        Object.defineProperty(target, key, descriptor);
+      } else {
+        delete target[key];
+      }
+    });
+  };
+};
@@ -0,0 +1,75 @@
+// Evidence snapshots drawn from the live shared stream to a canvas
+
+export const SNAPSHOT_FORMATS = {
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+export const DEFAULT_SNAPSHOT_OPTIONS = {
+  intervalMs: 30000,
+  format: 'jpeg',
+  width: 320,
+  quality: 0.7
+};
+
+// Scale a frame to the requested width, keeping its aspect ratio
+export const getSnapshotSize = (sourceWidth, sourceHeight, targetWidth) => {
+  if (!sourceWidth || !sourceHeight) return { width: 0, height: 0 };
+  const width = Math.min(targetWidth, sourceWidth);
+  return { width, height: Math.round((sourceHeight / sourceWidth) * width) };
+};
+
+// Encode a canvas, falling back to JPEG when the browser cannot produce WebP
+const encodeCanvas = (canvas, format, quality) => {
+  const mimeType = SNAPSHOT_FORMATS[format] || SNAPSHOT_FORMATS.jpeg;
+  const dataUrl = canvas.toDataURL(mimeType, quality);
+  if (dataUrl.startsWith(`data:${mimeType}`)) {
+    return { dataUrl, mimeType };
+  }
+  return { dataUrl: canvas.toDataURL(SNAPSHOT_FORMATS.jpeg, quality), mimeType: SNAPSHOT_FORMATS.jpeg };
+};
+
+// Draws frames from a stream through a hidden video element
+export const createSnapshotService = (stream, options = {}) => {
+  const { format, width: targetWidth, quality } = { ...DEFAULT_SNAPSHOT_OPTIONS, ...options };
+
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = stream;
+  const ready = video.play().catch(error => {
+    console.warn('Snapshot video could not start:', error);
+  });
+
+  const canvas = document.createElement('canvas');
+
+  // Returns the snapshot, or null when no frame is available yet
+  const capture = async (reason = 'interval', details = {}) => {
+    await ready;
+    const { width, height } = getSnapshotSize(video.videoWidth, video.videoHeight, targetWidth);
+    if (!width || !height) return null;
+
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+
+    const { dataUrl, mimeType } = encodeCanvas(canvas, format, quality);
+    return {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      capturedAt: new Date().toISOString(),
+      reason,
+      details,
+      width,
+      height,
+      mimeType,
+      dataUrl
+    };
+  };
+
+  const dispose = () => {
+    video.pause();
+    video.srcObject = null;
+  };
+
+  return { capture, dispose };
+};
@@ -0,0 +1,124 @@
+// In-app violation events. Detectors emit typed violations and the page (or a
+// host application) subscribes with onViolation instead of blocking alerts.
+// Episodes (a hidden tab, a black screen) are emitted when they start and
+// updated with their end time and duration when they end.
+
+export const VIOLATION_TYPES = {
+  CURSOR_OUT_OF_BOUNDS: 'cursor-out-of-bounds',
+  MULTIPLE_DISPLAYS: 'multiple-displays',
+  TAB_HIDDEN: 'tab-hidden',
+  FOCUS_LOST: 'focus-lost',
+  FULLSCREEN_EXIT: 'fullscreen-exit',
+  PAGE_HIDDEN: 'page-hidden',
+  BLACK_SCREEN: 'black-screen',
+  FROZEN_SCREEN: 'frozen-screen',
+  SCREEN_OCCLUDED: 'screen-occluded'
+};
+
+// Shown and logged, but never counted as a strike. A frozen screen cannot be
+// told from one that is simply static: browsers only deliver a new frame when
+// the shared content changes.
+export const INFORMATIONAL_TYPES = [VIOLATION_TYPES.FROZEN_SCREEN];
+
+export const isInformational = (type) => INFORMATIONAL_TYPES.includes(type);
+
+// Integrity episodes and frame conditions each carry their own duration, so none are dropped
+const EPISODE_TYPES = [
+  VIOLATION_TYPES.TAB_HIDDEN,
+  VIOLATION_TYPES.FOCUS_LOST,
+  VIOLATION_TYPES.FULLSCREEN_EXIT,
+  VIOLATION_TYPES.PAGE_HIDDEN,
+  VIOLATION_TYPES.BLACK_SCREEN,
+  VIOLATION_TYPES.FROZEN_SCREEN,
+  VIOLATION_TYPES.SCREEN_OCCLUDED
+];
+
+// Minimum time between two violations of the same type reaching listeners
+export const createThrottlePolicy = (throttleMs) => ({
+  ...Object.fromEntries(EPISODE_TYPES.map(type => [type, 0])),
+  default: throttleMs
+});
+
+export const DEFAULT_THROTTLE_POLICY = createThrottlePolicy(3000);
+
+let nextViolationId = 1;
+
+export const createViolationEmitter = (throttlePolicy = DEFAULT_THROTTLE_POLICY) => {
+  const listeners = new Set();
+  const updateListeners = new Set();
+  const lastEmitted = {};
+  let activeThrottlePolicy = throttlePolicy;
+
+  const getThrottle = (type) =>
+    activeThrottlePolicy[type] ?? activeThrottlePolicy.default ?? 0;
+
+  // Emit a violation; returns it, or null when throttled
+  const emit = (type, message, details = {}) => {
+    const now = Date.now();
+    if (now - (lastEmitted[type] || 0) < getThrottle(type)) return null;
+    lastEmitted[type] = now;
+
+    const violation = {
+      id: nextViolationId++,
+      type,
+      message,
+      details,
+      timestamp: now
+    };
+
+    console.warn(`🚨 Violation (${type}):`, violation);
+    notify(listeners, violation);
+    return violation;
+  };
+
+  const notify = (targets, violation) => {
+    targets.forEach(listener => {
+      try {
+        listener(violation);
+      } catch (error) {
+        console.error('Violation listener failed:', error);
+      }
+    });
+  };
+
+  // Amend an emitted violation, e.g. with the duration once its episode ends.
+  // Returns the updated violation; updates are never throttled.
+  const update = (violation, { message = violation.message, details = {} } = {}) => {
+    const updated = { ...violation, message, details: { ...violation.details, ...details } };
+    notify(updateListeners, updated);
+    return updated;
+  };
+
+  // Subscribe to violations; returns an unsubscribe function
+  const onViolation = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Subscribe to updates of violations already emitted; returns an unsubscribe function
+  const onViolationUpdate = (listener) => {
+    updateListeners.add(listener);
+    return () => updateListeners.delete(listener);
+  };
+
+  // Forget throttle state, e.g. when a new session starts
+  const reset = () => {
+    Object.keys(lastEmitted).forEach(type => delete lastEmitted[type]);
+  };
+
+  // Swap the throttle policy, e.g. when a session policy is loaded
+  const setThrottlePolicy = (nextPolicy) => {
+    activeThrottlePolicy = nextPolicy;
+  };
+
+  return { emit, update, onViolation, onViolationUpdate, reset, setThrottlePolicy };
+};
+
+// Shared emitter used by the hooks and the page
+export const violations = createViolationEmitter();
+
+export const emitViolation = violations.emit;
+export const updateViolation = violations.update;
+export const onViolation = violations.onViolation;
+export const onViolationUpdate = violations.onViolationUpdate;
+export const setThrottlePolicy = violations.setThrottlePolicy;
@@ -1,4 +1,11 @@
 /** @type {import('next').NextConfig} */
+
+// Host origins allowed to frame /embed, e.g. "https://app.example.com,https://admin.example.com"
+const embedAllowedOrigins = (process.env.NEXT_PUBLIC_EMBED_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 const nextConfig = {
   reactStrictMode: true,
   swcMinify: true,
@@ -13,9 +20,28 @@ const nextConfig = {
             value: 'display-capture=self'
           }
         ]
+      },
+      {
+        // Everything except the embed page refuses to be framed
+        source: '/((?!embed).*)',
+        headers: [
+          {
+            key: 'X-Frame-Options',
+            value: 'DENY'
+          }
+        ]
+      },
+      {
+        source: '/embed',
+        headers: [
+          {
+            key: 'Content-Security-Policy',
+            value: `frame-ancestors 'self' ${embedAllowedOrigins.join(' ')}`.trim()
+          }
+        ]
       }
     ]
   }
 }
 
-module.exports = nextConfig 
\ No newline at end of file
+module.exports = nextConfig
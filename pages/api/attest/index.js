@@ -0,0 +1,60 @@
+import { authorizeSessionClient, isTerminated, SESSION_STATUS } from '../../../lib/server/sessions';
+import { getClientSecret } from '../../../lib/server/clientAuth';
+import { signAttestation, getAttestationSecret } from '../../../lib/server/attestation';
+
+// Build claims from the server's own verdicts, never from the request body or
+// anything a client can post as an event
+const buildClaims = (session) => {
+  const validations = session.events.filter(event => event.type === 'validation');
+  const latest = validations[validations.length - 1];
+  if (!latest || latest.data.decision !== 'accepted') return null;
+
+  return {
+    sid: session.id,
+    policy: latest.data.policyId,
+    surface: latest.data.surface,
+    signals: {
+      signal: latest.data.signal,
+      confidence: latest.data.confidence,
+      consistency: latest.data.consistency?.isConsistent ?? null
+    },
+    validatedAt: latest.timestamp
+  };
+};
+
+// POST issues a signed attestation for a session whose latest validation succeeded
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const secret = getAttestationSecret();
+  if (!secret) {
+    return res.status(503).json({ error: 'Attestations are not configured (ATTESTATION_SECRET is missing)' });
+  }
+
+  try {
+    const { session, error, status } = await authorizeSessionClient(req.body?.sessionId, getClientSecret(req));
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (isTerminated(session)) {
+      return res.status(409).json({ error: 'Session was terminated' });
+    }
+    if (session.status === SESSION_STATUS.FINALIZED) {
+      return res.status(409).json({ error: 'Session is already finalized' });
+    }
+
+    const claims = buildClaims(session);
+    if (!claims) {
+      return res.status(409).json({ error: 'Session has no accepted validation to attest' });
+    }
+
+    const attestation = signAttestation(claims, secret);
+    return res.status(201).json(attestation);
+  } catch (error) {
+    console.error('Attestation API error:', error);
+    return res.status(500).json({ error: 'Could not issue attestation' });
+  }
+}
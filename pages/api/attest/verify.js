@@ -0,0 +1,30 @@
+import { verifyAttestation, getAttestationSecret } from '../../../lib/server/attestation';
+import { getSession, isTerminated } from '../../../lib/server/sessions';
+
+// POST checks a token's signature and expiry, and that its session was not
+// terminated after the token was issued
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const secret = getAttestationSecret();
+  if (!secret) {
+    return res.status(503).json({ error: 'Attestations are not configured (ATTESTATION_SECRET is missing)' });
+  }
+
+  try {
+    const result = verifyAttestation(req.body?.token, secret);
+    if (!result.valid) return res.status(400).json(result);
+
+    const session = await getSession(result.claims.sid);
+    if (session && isTerminated(session)) {
+      return res.status(400).json({ valid: false, reason: 'terminated', claims: result.claims });
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Attestation API error:', error);
+    return res.status(500).json({ error: 'Could not verify attestation' });
+  }
+}
@@ -0,0 +1,20 @@
+import { loadPolicy } from '../../../lib/server/policies';
+
+// GET returns a named policy with defaults filled in
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  try {
+    const result = await loadPolicy(req.query.id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    return res.status(200).json({ policy: result.policy });
+  } catch (error) {
+    console.error('Policy API error:', error);
+    return res.status(500).json({ error: 'Could not load policy' });
+  }
+}
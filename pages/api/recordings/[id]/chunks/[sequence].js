@@ -0,0 +1,65 @@
+import { saveChunk } from '../../../../../lib/server/recordingStore';
+import { authorizeRecordingClient } from '../../../../../lib/server/recordingAccess';
+
+// Chunks arrive as raw binary bodies
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+const MAX_CHUNK_BYTES = 25 * 1024 * 1024;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const parts = [];
+  let size = 0;
+  req.on('data', (part) => {
+    size += part.length;
+    if (size > MAX_CHUNK_BYTES) {
+      reject(Object.assign(new Error('Chunk is too large'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    parts.push(part);
+  });
+  req.on('end', () => resolve(Buffer.concat(parts)));
+  req.on('error', reject);
+});
+
+// PUT stores chunk number <sequence> of a recording
+export default async function handler(req, res) {
+  if (req.method !== 'PUT') {
+    res.setHeader('Allow', 'PUT');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const sequence = Number(req.query.sequence);
+  if (!Number.isInteger(sequence) || sequence < 0) {
+    return res.status(400).json({ error: 'sequence must be a non-negative integer' });
+  }
+
+  try {
+    // Refuse before reading a body nobody may store
+    const auth = await authorizeRecordingClient(req, req.query.id);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    const data = await readBody(req);
+    if (data.length === 0) {
+      return res.status(400).json({ error: 'Chunk is empty' });
+    }
+
+    const result = await saveChunk(req.query.id, sequence, data);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    return res.status(200).json({ sequence, received: Object.keys(result.manifest.chunks).length });
+  } catch (error) {
+    if (error.status === 413) {
+      return res.status(413).json({ error: error.message });
+    }
+    console.error('Recording API error:', error);
+    return res.status(500).json({ error: 'Could not store chunk' });
+  }
+}
@@ -0,0 +1,31 @@
+import { finalizeRecording } from '../../../../lib/server/recordingStore';
+import { authorizeRecordingClient } from '../../../../lib/server/recordingAccess';
+
+// POST joins all chunks once exactly the sequences below totalChunks have arrived
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const totalChunks = req.body?.totalChunks;
+  if (!Number.isInteger(totalChunks) || totalChunks < 0) {
+    return res.status(400).json({ error: 'totalChunks must be a non-negative integer' });
+  }
+
+  try {
+    const auth = await authorizeRecordingClient(req, req.query.id);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    const result = await finalizeRecording(req.query.id, totalChunks);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, missing: result.missing, unexpected: result.unexpected });
+    }
+    return res.status(200).json({ recording: result.manifest });
+  } catch (error) {
+    console.error('Recording API error:', error);
+    return res.status(500).json({ error: 'Could not finalize recording' });
+  }
+}
@@ -0,0 +1,20 @@
+import { authorizeRecordingClient } from '../../../../lib/server/recordingAccess';
+
+// GET returns the manifest, including which chunk sequences have arrived
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  try {
+    const { recording, error, status } = await authorizeRecordingClient(req, req.query.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    return res.status(200).json({ recording });
+  } catch (error) {
+    console.error('Recording API error:', error);
+    return res.status(500).json({ error: 'Could not load recording' });
+  }
+}
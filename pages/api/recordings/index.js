@@ -0,0 +1,35 @@
+import { createRecording } from '../../../lib/server/recordingStore';
+import { authorizeSessionClient, SESSION_STATUS } from '../../../lib/server/sessions';
+import { getClientSecret } from '../../../lib/server/clientAuth';
+
+// POST starts a new recording for an open session; the session's client secret is required
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const sessionId = req.body?.sessionId;
+  if (typeof sessionId !== 'string' || sessionId.length === 0) {
+    return res.status(400).json({ error: 'sessionId is required' });
+  }
+
+  try {
+    const { session, error, status } = await authorizeSessionClient(sessionId, getClientSecret(req));
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (session.status === SESSION_STATUS.FINALIZED) {
+      return res.status(409).json({ error: 'Session is already finalized' });
+    }
+
+    const recording = await createRecording({
+      sessionId,
+      mimeType: typeof req.body?.mimeType === 'string' ? req.body.mimeType : undefined
+    });
+    return res.status(201).json({ recording });
+  } catch (error) {
+    console.error('Recording API error:', error);
+    return res.status(500).json({ error: 'Could not create recording' });
+  }
+}
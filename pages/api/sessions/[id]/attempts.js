@@ -0,0 +1,29 @@
+import { recordAttempt, authorizeSessionClient } from '../../../../lib/server/sessions';
+import { getClientSecret } from '../../../../lib/server/clientAuth';
+
+// POST starts a share attempt; 423 while the session is locked out
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  try {
+    const auth = await authorizeSessionClient(req.query.id, getClientSecret(req));
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    const result = await recordAttempt(req.query.id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (result.attempt.locked) {
+      return res.status(423).json({ error: 'Too many failed attempts', attempt: result.attempt });
+    }
+    return res.status(200).json({ attempt: result.attempt });
+  } catch (error) {
+    console.error('Session API error:', error);
+    return res.status(500).json({ error: 'Could not start attempt' });
+  }
+}
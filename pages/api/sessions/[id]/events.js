@@ -0,0 +1,26 @@
+import { appendSessionEvents, authorizeSessionClient } from '../../../../lib/server/sessions';
+import { getClientSecret } from '../../../../lib/server/clientAuth';
+
+// POST appends events to an active session
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  try {
+    const auth = await authorizeSessionClient(req.query.id, getClientSecret(req));
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    const result = await appendSessionEvents(req.query.id, req.body?.events);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    return res.status(200).json({ appended: result.appended.length, eventCount: result.session.events.length });
+  } catch (error) {
+    console.error('Session API error:', error);
+    return res.status(500).json({ error: 'Could not append session events' });
+  }
+}
@@ -0,0 +1,26 @@
+import { finalizeSession, authorizeSessionClient, toSessionView } from '../../../../lib/server/sessions';
+import { getClientSecret } from '../../../../lib/server/clientAuth';
+
+// POST closes a session with its outcome
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  try {
+    const auth = await authorizeSessionClient(req.query.id, getClientSecret(req));
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    const result = await finalizeSession(req.query.id, req.body?.outcome);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    return res.status(200).json({ session: toSessionView(result.session) });
+  } catch (error) {
+    console.error('Session API error:', error);
+    return res.status(500).json({ error: 'Could not finalize session' });
+  }
+}
@@ -0,0 +1,26 @@
+import { getSession, toSessionView } from '../../../../lib/server/sessions';
+import { checkProctorToken, getBearerToken } from '../../../../lib/server/staffAuth';
+
+// GET returns a single session with its events to staff
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const denied = checkProctorToken(getBearerToken(req));
+  if (denied) {
+    return res.status(denied.status).json({ error: denied.error });
+  }
+
+  try {
+    const session = await getSession(req.query.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    return res.status(200).json({ session: toSessionView(session) });
+  } catch (error) {
+    console.error('Session API error:', error);
+    return res.status(500).json({ error: 'Could not load session' });
+  }
+}
@@ -0,0 +1,40 @@
+import { createSession, listSessions, toSessionView } from '../../../lib/server/sessions';
+import { isProctorToken, getBearerToken, checkProctorToken } from '../../../lib/server/staffAuth';
+
+// POST creates a session and returns its client secret, GET lists stored
+// sessions for staff. Sessions get the server's policy; only a host backend
+// holding PROCTOR_TOKEN may provision one with another.
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'POST') {
+      const metadata = req.body?.metadata && typeof req.body.metadata === 'object' ? req.body.metadata : {};
+      const policyId = typeof req.body?.policyId === 'string' ? req.body.policyId : undefined;
+      if (policyId && !isProctorToken(getBearerToken(req))) {
+        return res.status(403).json({ error: 'Choosing a policy requires the proctor token' });
+      }
+      const result = await createSession(metadata, policyId);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      return res.status(201).json({ session: toSessionView(result.session), clientSecret: result.clientSecret });
+    }
+
+    if (req.method === 'GET') {
+      const denied = checkProctorToken(getBearerToken(req));
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+      const sessions = await listSessions();
+      // Events can be large, so the list only carries a summary
+      return res.status(200).json({
+        sessions: sessions.map(({ events, ...session }) => ({ ...toSessionView(session), eventCount: events.length }))
+      });
+    }
+
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  } catch (error) {
+    console.error('Session API error:', error);
+    return res.status(500).json({ error: 'Could not process session request' });
+  }
+}
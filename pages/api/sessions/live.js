@@ -0,0 +1,46 @@
+import { listSessions, SESSION_STATUS } from '../../../lib/server/sessions';
+import { subscribeToSessionEvents } from '../../../lib/server/sessionEvents';
+import { openEventStream } from '../../../lib/server/eventStream';
+import { summarizeSession } from '../../../lib/sessionStatus';
+import { checkProctorToken } from '../../../lib/server/staffAuth';
+
+// The event stream stays open after the handler returns
+export const config = {
+  api: {
+    externalResolver: true
+  }
+};
+
+// GET streams a snapshot of the open (active or lost) sessions, then every
+// session event, to staff presenting ?token=PROCTOR_TOKEN (EventSource cannot
+// send headers)
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const denied = checkProctorToken(req.query.token);
+  if (denied) {
+    return res.status(denied.status).json({ error: denied.error });
+  }
+
+  let sessions;
+  try {
+    sessions = await listSessions();
+  } catch (error) {
+    console.error('Live sessions API error:', error);
+    return res.status(500).json({ error: 'Could not load sessions' });
+  }
+
+  let unsubscribe = null;
+  const send = openEventStream(req, res, () => unsubscribe());
+
+  send({
+    type: 'snapshot',
+    sessions: sessions
+      .filter(session => session.status !== SESSION_STATUS.FINALIZED)
+      .map(summarizeSession)
+  });
+  unsubscribe = subscribeToSessionEvents(event => send({ type: 'event', event }));
+}
@@ -0,0 +1,47 @@
+import {
+  getSession,
+  getSessionPolicy,
+  getNewSessionPolicyId,
+  getStrikeHistory,
+  getOpenEnforcement,
+  isTerminated,
+  SESSION_STATUS
+} from '../../../lib/server/sessions';
+import { getClientSecret, isClientSecret } from '../../../lib/server/clientAuth';
+import { loadPolicy } from '../../../lib/server/policies';
+
+// GET returns the policy of ?session= while it is open, with its strikes so far
+// and the acknowledgment or pause it left open, otherwise the policy new
+// sessions get. Only the session's own client, holding its secret, may read an
+// existing session. A session ended by enforcement is still returned, with
+// ended: true, so a reload cannot start it over.
+// The page applies whatever the server answers.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  try {
+    const session = typeof req.query.session === 'string' ? await getSession(req.query.session) : null;
+    if (session && !isClientSecret(session, getClientSecret(req))) {
+      return res.status(401).json({ error: 'A valid session secret is required' });
+    }
+    const ended = Boolean(session) && isTerminated(session);
+    const current = session && (ended || session.status !== SESSION_STATUS.FINALIZED) ? session : null;
+    const result = current ? await getSessionPolicy(current) : await loadPolicy(getNewSessionPolicyId());
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    return res.status(200).json({
+      policy: result.policy,
+      sessionId: current ? current.id : null,
+      strikes: current ? getStrikeHistory(current) : [],
+      openEnforcement: current ? getOpenEnforcement(current) : null,
+      ended
+    });
+  } catch (error) {
+    console.error('Policy API error:', error);
+    return res.status(500).json({ error: 'Could not load policy' });
+  }
+}
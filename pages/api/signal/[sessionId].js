@@ -0,0 +1,68 @@
+import { connectPeer, relayMessage, countPeers, PEER_ROLES } from '../../../lib/server/signalingHub';
+import { isProctorToken, getProctorToken } from '../../../lib/server/staffAuth';
+import { getSession, SESSION_STATUS } from '../../../lib/server/sessions';
+import { isClientSecret } from '../../../lib/server/clientAuth';
+
+// The event stream stays open after the handler returns
+export const config = {
+  api: {
+    externalResolver: true
+  }
+};
+
+// GET opens the signaling stream for a peer of an open session (proctors need
+// ?token=PROCTOR_TOKEN, the candidate ?secret= with the session's client
+// secret), POST relays a message to another peer
+export default async function handler(req, res) {
+  const { sessionId } = req.query;
+
+  if (req.method === 'GET') {
+    const role = req.query.role;
+    if (!Object.values(PEER_ROLES).includes(role)) {
+      return res.status(400).json({ error: 'role must be "candidate" or "proctor"' });
+    }
+    if (role === PEER_ROLES.PROCTOR) {
+      if (!getProctorToken()) {
+        return res.status(503).json({ error: 'Proctor viewing is not configured (PROCTOR_TOKEN is missing)' });
+      }
+      if (!isProctorToken(req.query.token)) {
+        return res.status(401).json({ error: 'A valid proctor token is required' });
+      }
+    }
+
+    try {
+      const session = await getSession(sessionId);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      if (session.status === SESSION_STATUS.FINALIZED) {
+        return res.status(409).json({ error: 'Session is already finalized' });
+      }
+      if (role === PEER_ROLES.CANDIDATE && !isClientSecret(session, req.query.secret)) {
+        return res.status(401).json({ error: 'A valid session secret is required' });
+      }
+    } catch (error) {
+      console.error('Signaling API error:', error);
+      return res.status(500).json({ error: 'Could not open signaling stream' });
+    }
+
+    // Only one candidate streams a session; nothing awaits between this check and connecting
+    if (role === PEER_ROLES.CANDIDATE && countPeers(sessionId, role) > 0) {
+      return res.status(409).json({ error: 'A candidate is already connected to this session' });
+    }
+
+    connectPeer(sessionId, role, req, res);
+    return;
+  }
+
+  if (req.method === 'POST') {
+    const result = relayMessage(sessionId, req.body || {});
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    return res.status(200).json(result);
+  }
+
+  res.setHeader('Allow', 'GET, POST');
+  return res.status(405).json({ error: `Method ${req.method} not allowed` });
+}
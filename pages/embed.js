@@ -0,0 +1,6 @@
+import ScreenShareValidator from './index';
+
+// Validator rendered inside a host page's iframe (see public/embed-sdk.js)
+export default function EmbeddedScreenShareValidator() {
+  return <ScreenShareValidator embedded />;
+}
@@ -1,147 +1,336 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect, useCallback } from 'react';
 import Head from 'next/head';
 import { useMouseTracker } from '../hooks/useMouseTracker';
+import { useIntegrityMonitor, INTEGRITY_SIGNALS, DEFAULT_INTEGRITY_SIGNALS } from '../hooks/useIntegrityMonitor';
+import { isPointOutOfBounds, toDevicePixels } from '../lib/screenBounds';
+import { onViolation, onViolationUpdate, setThrottlePolicy, createThrottlePolicy } from '../lib/violations';
+import { logEvent, LOG_EVENT_TYPES } from '../lib/sessionLog';
+import { createSessionTracker } from '../lib/sessionClient';
+import { useEmbedBridge } from '../hooks/useEmbedBridge';
+import { useSnapshots } from '../hooks/useSnapshots';
+import { useRecorder } from '../hooks/useRecorder';
+import { useProctorStream } from '../hooks/useProctorStream';
+import { useHeartbeat } from '../hooks/useHeartbeat';
+import { useFrameAnalysis } from '../hooks/useFrameAnalysis';
+import { useAudioLevel } from '../hooks/useAudioLevel';
+import AudioLevelMeter from '../components/AudioLevelMeter';
+import { usePolicy } from '../hooks/usePolicy';
+import { useScreenShareSession } from '../hooks/useScreenShareSession';
+import PolicySummary from '../components/PolicySummary';
+import { useSimulator } from '../hooks/useSimulator';
+import SimulatorBanner from '../components/SimulatorBanner';
+import { usePreflight } from '../hooks/usePreflight';
+import PreflightPanel from '../components/PreflightPanel';
+import { getBlockingChecks } from '../lib/preflight';
+import { FRAME_CONDITIONS } from '../lib/frameAnalysis';
+import { SESSION_STATES, SESSION_ACTIONS } from '../lib/screenShareMachine';
+import { DEFAULT_SNAPSHOT_OPTIONS } from '../lib/snapshots';
+import { EMBED_EVENTS, EMBED_COMMANDS } from '../lib/embedProtocol';
+import ViolationToast, { VIOLATION_TITLES } from '../components/ViolationToast';
+import { useEnforcement } from '../hooks/useEnforcement';
+import EnforcementPanel from '../components/EnforcementPanel';
+import EnforcementOverlay from '../components/EnforcementOverlay';
+import SessionLogPanel from '../components/SessionLogPanel';
+import SnapshotGallery from '../components/SnapshotGallery';
 
-export default function ScreenShareValidator() {
-  const [currentStep, setCurrentStep] = useState('instructions'); // 'instructions', 'requesting', 'success', 'error'
-  const [stream, setStream] = useState(null);
-  const [showRetryModal, setShowRetryModal] = useState(false);
-  const [errorMessage, setErrorMessage] = useState('');
-  const [attempts, setAttempts] = useState(0);
+export default function ScreenShareValidator({ embedded = false }) {
   const videoRef = useRef(null);
-  
+
+  // Server-side session that receives validation results and violations,
+  // opened when the candidate starts a share
+  const [sessionTracker] = useState(createSessionTracker);
+
+  // Exam rules the server holds for this session, applied to validation and every detector
+  const {
+    policy,
+    session: openSession,
+    strikes: strikeHistory,
+    openEnforcement,
+    ended: sessionEnded,
+    status: policyStatus,
+    error: policyError
+  } = usePolicy();
+
+  useEffect(() => {
+    setThrottlePolicy(createThrottlePolicy(policy.gracePeriods.violationThrottleMs));
+  }, [policy]);
+
+  // Keep counting attempts against a session the server still has open
+  useEffect(() => {
+    sessionTracker.adopt(openSession);
+  }, [openSession, sessionTracker]);
+
+  // Fake picker and screen providers for scripted test runs
+  const simulatorScenario = useSimulator();
+
+  useEffect(() => {
+    if (simulatorScenario) {
+      sessionTracker.note('simulator', { scenario: simulatorScenario });
+    }
+  }, [simulatorScenario, sessionTracker]);
+
+  // Browser capability checks; rerun when the simulator swaps the providers
+  const preflight = usePreflight(simulatorScenario);
+
+  // A preflight that crashed should not lock anyone out, so only failed checks block
+  const blockingChecks = getBlockingChecks(preflight.report);
+  const preflightReady = preflight.status === 'error' || (preflight.status === 'ready' && blockingChecks.length === 0);
+
+  useEffect(() => {
+    if (!preflight.report) return;
+    sessionTracker.note('preflight', {
+      canStart: preflight.report.canStart,
+      checks: Object.fromEntries(preflight.report.checks.map(({ id, status }) => [id, status]))
+    });
+  }, [preflight.report, sessionTracker]);
+
+  useEffect(() => {
+    if (policyStatus === 'ready') {
+      sessionTracker.note('policy', { id: policy.id, name: policy.name });
+    }
+  }, [policy, policyStatus, sessionTracker]);
+
+  // Host page connection when running inside the embed iframe
+  const { post: postToHost } = useEmbedBridge(embedded, {
+    [EMBED_COMMANDS.START]: () => session.start(),
+    [EMBED_COMMANDS.RESTART]: () => restartProcess(),
+    [EMBED_COMMANDS.STOP_MONITORING]: () => session.setMonitoringEnabled(false),
+    [EMBED_COMMANDS.START_MONITORING]: () => session.setMonitoringEnabled(true)
+  });
+
+  // Send a session event to the server and, when embedded, to the host.
+  // Validations go to the server as evidence; it records its own verdict.
+  const reportEvent = useCallback((type, data) => {
+    postToHost(type, data);
+    if (type === LOG_EVENT_TYPES.VALIDATION) return sessionTracker.validate(data);
+    return sessionTracker.record(type, data);
+  }, [sessionTracker, postToHost]);
+
+  // Signed proof of the accepted share for the host's backend
+  const [attestation, setAttestation] = useState(null);
+
+  // Request, validation, monitoring and restart flow; the screens below are one UI on top of it
+  const session = useScreenShareSession({
+    policy,
+    isReady: policyStatus === 'ready' && preflightReady && !sessionEnded,
+    onStart: sessionTracker.start,
+    onReport: reportEvent,
+    // Once the server has accepted the share too, ask it to attest the share
+    onAccepted: (acceptedStream, recorded) => {
+      recorded
+        .then(verdict => (verdict?.decision === 'accepted' ? sessionTracker.attest() : null))
+        .then(result => {
+          if (!result) return;
+          setAttestation(result);
+          postToHost(EMBED_EVENTS.ATTESTATION, result);
+        });
+    }
+  });
+  const { state: currentStep, stream, attempts, attemptLog, lockedUntil, isLocked, monitoringEnabled } = session;
+
+  // Every strike, acknowledgment and resume goes to the session history
+  const reportEnforcement = useCallback((action, data) => {
+    const entry = logEvent(LOG_EVENT_TYPES.ENFORCEMENT, { action, ...data });
+    return reportEvent(LOG_EVENT_TYPES.ENFORCEMENT, entry.data);
+  }, [reportEvent]);
+
+  // The last step: stop the stream and close the server session for good
+  const endSession = ({ type, strikes }) => {
+    const title = VIOLATION_TITLES[type] || type;
+    if (!session.end('enforcement', `⛔ Your session was ended after ${strikes} "${title}" violations.`)) return;
+    setAttestation(null);
+    setRecordingEnabled(false);
+    setServerSession(null);
+    reportEnforcement('ended', { violationType: type, strikes })
+      .finally(() => sessionTracker.finalize('terminated'));
+  };
+
+  // Strikes per violation type, escalating from a warning to ending the session,
+  // counted on from the strikes the server already has for the session
+  const enforcement = useEnforcement(currentStep === SESSION_STATES.SUCCESS, policy, {
+    onEvent: reportEnforcement,
+    onEnd: endSession,
+    history: strikeHistory,
+    open: openEnforcement
+  });
+
+  // Detectors rest while enforcement has the session paused
+  const isMonitoring = currentStep === SESSION_STATES.SUCCESS && !enforcement.isPaused;
+  const recordStrike = enforcement.record;
+
   // Multi-monitor detection state
-  const [monitoringEnabled, setMonitoringEnabled] = useState(true);
   const [testDetectionFn, setTestDetectionFn] = useState(null);
   
   // Use the simplified mouse tracker
   const { screenInfo, currentMousePos } = useMouseTracker(
-    currentStep === 'success' && monitoringEnabled,
-    setTestDetectionFn
+    isMonitoring && monitoringEnabled,
+    setTestDetectionFn,
+    {
+      detectCursor: policy.detectors.cursor,
+      detectMultipleDisplays: policy.detectors.multipleDisplays,
+      debounceMs: policy.gracePeriods.cursorDebounceMs
+    }
   );
 
-  // Screen sharing validation logic
-  const validateScreenShare = async () => {
-    try {
-      setCurrentStep('requesting');
-      setAttempts(prev => prev + 1);
+  // Focus, visibility and fullscreen monitoring, each signal toggled separately
+  const [integritySignals, setIntegritySignals] = useState(DEFAULT_INTEGRITY_SIGNALS);
 
-      // Request screen sharing
-      const mediaStream = await navigator.mediaDevices.getDisplayMedia({
-        video: true,
-        audio: false
-      });
+  // The policy decides which signals start enabled
+  useEffect(() => {
+    setIntegritySignals({
+      visibility: policy.detectors.visibility,
+      focus: policy.detectors.focus,
+      fullscreen: policy.detectors.fullscreen,
+      pagehide: policy.detectors.pagehide
+    });
+  }, [policy]);
+  const { activeEpisodes } = useIntegrityMonitor(isMonitoring, integritySignals);
 
-      // Get the video track and inspect its label
-      const videoTrack = mediaStream.getVideoTracks()[0];
-      const trackLabel = videoTrack.label.toLowerCase();
+  // Black, frozen or covered content in the shared stream
+  const { activeConditions } = useFrameAnalysis(
+    stream,
+    isMonitoring && policy.detectors.frameAnalysis,
+    { frozenWindowMs: policy.gracePeriods.frozenFrameMs }
+  );
 
-      console.log('Track label:', trackLabel); // Debug log
+  // Live meter and level check for policies that require system audio
+  const audioLevel = useAudioLevel(
+    stream,
+    currentStep === SESSION_STATES.SUCCESS && policy.audio.required,
+    policy.audio.levelCheckMs
+  );
 
-      // Validate if it's a full screen share
-      const isValidScreenShare = validateTrackLabel(trackLabel);
+  useEffect(() => {
+    const { status, peak } = audioLevel.check;
+    if (status === 'signal' || status === 'silent') {
+      sessionTracker.record('audio-check', { status, peak: Math.round(peak * 1000) / 1000 });
+    }
+  }, [audioLevel.check, sessionTracker]);
 
-      if (!isValidScreenShare) {
-        // Stop the stream immediately
-        mediaStream.getTracks().forEach(track => track.stop());
-        
-        // Show retry modal
-        setErrorMessage(getErrorMessage(trackLabel));
-        setShowRetryModal(true);
-        setCurrentStep('error');
-        return;
-      }
+  // Evidence snapshots from the shared stream
+  const [snapshotOptions, setSnapshotOptions] = useState(DEFAULT_SNAPSHOT_OPTIONS);
+  const { snapshots, captureNow } = useSnapshots(stream, currentStep === SESSION_STATES.SUCCESS, snapshotOptions);
 
-      // Success - full screen was shared
-      setStream(mediaStream);
-      setCurrentStep('success');
-      
-      // Display the stream in video element
-      if (videoRef.current) {
-        videoRef.current.srcObject = mediaStream;
-      }
+  // Optional recording of the shared screen, uploaded in chunks
+  const [recordingEnabled, setRecordingEnabled] = useState(false);
+  const recordingState = useRecorder(
+    stream,
+    recordingEnabled && (currentStep === SESSION_STATES.SUCCESS || currentStep === SESSION_STATES.INTERRUPTED),
+    sessionTracker.getCredentials
+  );
 
-    } catch (error) {
-      console.error('Screen sharing error:', error);
-      
-      if (error.name === 'NotAllowedError') {
-        setErrorMessage('❌ Screen sharing permission denied. Please allow access and try again.');
-      } else if (error.name === 'NotSupportedError') {
-        setErrorMessage('❌ Screen sharing is not supported in this browser.');
-      } else {
-        setErrorMessage('❌ An error occurred while requesting screen share. Please try again.');
-      }
-      
-      setShowRetryModal(true);
-      setCurrentStep('error');
-    }
-  };
+  // Server session of the share in progress, known from the first request so
+  // heartbeats cover the time the picker is open. An ended session is being
+  // finalized, so it is not looked up again.
+  const isSessionOpen = currentStep !== SESSION_STATES.INSTRUCTIONS && currentStep !== SESSION_STATES.ENDED;
+  const [serverSession, setServerSession] = useState(null);
+  useEffect(() => {
+    if (!isSessionOpen) return;
+    let cancelled = false;
+    sessionTracker.getCredentials().then(credentials => {
+      if (!cancelled) setServerSession(credentials);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentStep, isSessionOpen, sessionTracker]);
+  const sessionId = serverSession?.id || null;
 
-  // Validate track label to determine if full screen was shared
-  const validateTrackLabel = (label) => {
-    // Common patterns that indicate NOT full screen
-    const invalidPatterns = [
-      'tab', 'window', 'chrome tab', 'firefox tab', 'safari tab',
-      'application window', 'browser window'
-    ];
-
-    // Common patterns that indicate full screen
-    const validPatterns = [
-      'screen', 'monitor', 'desktop', 'entire screen', 'full screen'
-    ];
-
-    // Check for invalid patterns first
-    for (const pattern of invalidPatterns) {
-      if (label.includes(pattern)) {
-        return false;
-      }
-    }
+  // Live stream to proctors watching this session
+  const { viewerCount } = useProctorStream(stream, serverSession, currentStep === SESSION_STATES.SUCCESS);
 
-    // Check for valid patterns
-    for (const pattern of validPatterns) {
-      if (label.includes(pattern)) {
-        return true;
+  // Heartbeats let the server notice a client that went silent. They keep
+  // going after an interruption so a candidate who is resharing is not lost.
+  useHeartbeat(serverSession, isSessionOpen, () => ({
+    streamActive: Boolean(stream?.getVideoTracks().some(track => track.readyState === 'live')),
+    monitoring: monitoringEnabled,
+    cursor: currentMousePos
+  }));
+
+  // Violations currently shown as toasts
+  const [activeViolations, setActiveViolations] = useState([]);
+
+  useEffect(() => {
+    return onViolation(violation => {
+      // Repeats inside the strike grace period are logged but not shown again
+      const strike = recordStrike(violation);
+      if (!strike || strike.counted) {
+        setActiveViolations(prev => [...prev, { ...violation, strike }].slice(-3));
       }
-    }
+      const entry = logEvent(LOG_EVENT_TYPES.VIOLATION, {
+        violationId: violation.id,
+        violationType: violation.type,
+        message: violation.message,
+        details: violation.details,
+        ...(strike && { strike: { counted: strike.counted, strikes: strike.strikes, level: strike.level } })
+      });
+      reportEvent(LOG_EVENT_TYPES.VIOLATION, entry.data);
+    });
+  }, [reportEvent, recordStrike]);
 
-    // If no clear pattern, assume it's invalid for safety
-    // Most browsers include clear indicators in the label
-    return false;
-  };
+  // Episodes that end update their violation with the duration
+  useEffect(() => {
+    return onViolationUpdate(violation => {
+      setActiveViolations(prev => prev.map(shown => (
+        shown.id === violation.id ? { ...violation, strike: shown.strike } : shown
+      )));
+      const entry = logEvent(LOG_EVENT_TYPES.VIOLATION_UPDATE, {
+        violationId: violation.id,
+        violationType: violation.type,
+        message: violation.message,
+        details: violation.details
+      });
+      reportEvent(LOG_EVENT_TYPES.VIOLATION_UPDATE, entry.data);
+    });
+  }, [reportEvent]);
+
+  // Record every step change in the session log
+  useEffect(() => {
+    logEvent(LOG_EVENT_TYPES.STEP, { step: currentStep });
+  }, [currentStep]);
+
+  // Tell the host about every state change
+  useEffect(() => {
+    postToHost(EMBED_EVENTS.STATE_CHANGE, { step: currentStep, attempts });
+  }, [currentStep, attempts, postToHost]);
 
-  // Get appropriate error message based on what was shared
-  const getErrorMessage = (label) => {
-    if (label.includes('tab')) {
-      return '❗ You selected a browser tab. Please share your entire screen instead.';
-    } else if (label.includes('window')) {
-      return '❗ You selected a window. Please share your entire screen instead.';
-    } else {
-      return '❗ Please share your entire screen — tab or window sharing is not allowed.';
+  // Keep the server's view of the session current for the proctor dashboard.
+  // Steps before the first share only reach the local log.
+  useEffect(() => {
+    sessionTracker.record(LOG_EVENT_TYPES.STEP, { step: currentStep, attempts, monitoring: monitoringEnabled });
+  }, [currentStep, attempts, monitoringEnabled, sessionTracker]);
+
+  // Hand the result to the host, or to the page's own logic when standalone
+  const continueApplication = async () => {
+    if (embedded) {
+      postToHost(EMBED_EVENTS.COMPLETED, { sessionId: await sessionTracker.getSessionId() });
+      return;
     }
+    alert('Continue with your application logic here!');
   };
 
-  // Retry screen sharing
-  const retryScreenShare = () => {
-    setShowRetryModal(false);
-    setErrorMessage('');
-    validateScreenShare();
-  };
+  const dismissViolation = useCallback((id) => {
+    setActiveViolations(prev => prev.filter(violation => violation.id !== id));
+  }, []);
 
-  // Stop current stream and restart
+  // Stop current stream and restart; ignored while the picker is open
   const restartProcess = () => {
-    if (stream) {
-      stream.getTracks().forEach(track => track.stop());
-      setStream(null);
+    if (!session.can(SESSION_ACTIONS.RESET)) return;
+    // After a rejection the same session goes on, so its attempts keep counting.
+    // Strikes start over only with a new session.
+    if (currentStep === SESSION_STATES.SUCCESS || currentStep === SESSION_STATES.INTERRUPTED) {
+      sessionTracker.finalize('restarted').then(closed => {
+        if (closed) enforcement.reset();
+      });
     }
-    setCurrentStep('instructions');
-    setShowRetryModal(false);
-    setErrorMessage('');
-    setAttempts(0);
+    setAttestation(null);
+    setRecordingEnabled(false);
+    setServerSession(null);
+    session.restart();
   };
 
-  // Toggle monitoring settings
-  const toggleMonitoring = () => {
-    setMonitoringEnabled(prev => !prev);
+  const toggleIntegritySignal = (signal) => {
+    setIntegritySignals(prev => ({ ...prev, [signal]: !prev[signal] }));
   };
 
   return (
@@ -152,37 +341,102 @@ export default function ScreenShareValidator() {
       </Head>
 
       <div className="container mx-auto px-4 py-8">
+        {simulatorScenario && <SimulatorBanner scenarioName={simulatorScenario} />}
+
+        {/* Browser Preflight */}
+        {currentStep === SESSION_STATES.INSTRUCTIONS && (
+          <PreflightPanel report={preflight.report} status={preflight.status} onRerun={preflight.rerun} />
+        )}
+
         {/* Instructions Screen */}
-        {currentStep === 'instructions' && (
-          <InstructionScreen onStart={validateScreenShare} attempts={attempts} />
+        {currentStep === SESSION_STATES.INSTRUCTIONS && (
+          <InstructionScreen
+            onStart={session.start}
+            preflightStatus={preflight.status}
+            blockingChecks={blockingChecks}
+            audioRequired={policy.audio.required}
+            attempts={attempts}
+            policyStatus={policyStatus}
+            policyError={policyError}
+            lockedUntil={lockedUntil}
+            sessionEnded={sessionEnded}
+          />
         )}
 
         {/* Requesting Screen Share */}
-        {currentStep === 'requesting' && (
+        {currentStep === SESSION_STATES.REQUESTING && (
           <RequestingScreen />
         )}
 
         {/* Success Screen */}
-        {currentStep === 'success' && (
+        {currentStep === SESSION_STATES.SUCCESS && (
           <SuccessScreen 
             stream={stream} 
             videoRef={videoRef} 
             onRestart={restartProcess}
+            onContinue={continueApplication}
+            attestation={attestation}
             monitoringEnabled={monitoringEnabled}
-            onToggleMonitoring={toggleMonitoring}
+            onToggleMonitoring={session.toggleMonitoring}
+            integritySignals={integritySignals}
+            onToggleIntegritySignal={toggleIntegritySignal}
+            activeEpisodes={activeEpisodes}
+            activeConditions={activeConditions}
+            audioLevel={audioLevel}
+            enforcement={enforcement}
+            snapshots={snapshots}
+            snapshotOptions={snapshotOptions}
+            onSnapshotOptionsChange={setSnapshotOptions}
+            onCaptureSnapshot={captureNow}
+            recordingEnabled={recordingEnabled}
+            recordingState={recordingState}
+            onToggleRecording={() => setRecordingEnabled(prev => !prev)}
+            sessionId={sessionId}
+            viewerCount={viewerCount}
             screenInfo={screenInfo}
             testDetectionFn={testDetectionFn}
             currentMousePos={currentMousePos}
+            appliedHints={attemptLog[attemptLog.length - 1]?.applied || []}
+            policy={policy}
+          />
+        )}
+
+        {/* Share Interrupted */}
+        {currentStep === SESSION_STATES.INTERRUPTED && (
+          <InterruptedScreen
+            message={session.lastError?.message}
+            onReshare={session.reshare}
+            onRestart={restartProcess}
+          />
+        )}
+
+        {/* Session Ended */}
+        {currentStep === SESSION_STATES.ENDED && (
+          <EndedScreen message={session.lastError?.message} />
+        )}
+
+        {/* Acknowledge and Pause Steps */}
+        {(currentStep === SESSION_STATES.SUCCESS || currentStep === SESSION_STATES.INTERRUPTED) && (
+          <EnforcementOverlay
+            awaitingAcknowledgment={enforcement.awaitingAcknowledgment}
+            pausedUntil={enforcement.pausedUntil}
+            onAcknowledge={enforcement.acknowledge}
+            onResume={enforcement.resume}
           />
         )}
 
+        {/* Violation Notices */}
+        <ViolationToast violations={activeViolations} onDismiss={dismissViolation} />
+
         {/* Retry Modal */}
-        {showRetryModal && (
+        {currentStep === SESSION_STATES.ERROR && (
           <RetryModal
-            message={errorMessage}
-            onRetry={retryScreenShare}
-            onCancel={() => setCurrentStep('instructions')}
+            message={session.lastError?.message}
+            onRetry={session.retry}
+            onCancel={session.dismiss}
             attempts={attempts}
+            hintAfter={policy.attempts.hintAfter}
+            isLocked={isLocked}
           />
         )}
       </div>
@@ -191,7 +445,20 @@ export default function ScreenShareValidator() {
 }
 
 // Instruction Screen Component
-function InstructionScreen({ onStart, attempts }) {
+function InstructionScreen({
+  onStart,
+  attempts,
+  policyStatus,
+  policyError,
+  lockedUntil,
+  sessionEnded,
+  preflightStatus,
+  blockingChecks,
+  audioRequired
+}) {
+  const isLocked = lockedUntil !== null;
+  const isBlocked = preflightStatus === 'running' || blockingChecks.length > 0;
+
   return (
     <div className="max-w-4xl mx-auto text-center">
       <div className="bg-white rounded-2xl shadow-xl p-8 mb-8">
@@ -220,6 +487,16 @@ function InstructionScreen({ onStart, attempts }) {
                 <p className="text-gray-600 text-sm">Choose your full desktop/monitor when prompted</p>
               </div>
             </div>
+
+            {audioRequired && (
+              <div className="flex items-start space-x-3">
+                <span className="text-green-500 text-xl">🔊</span>
+                <div>
+                  <p className="font-medium text-gray-800">Tick “Share system audio”</p>
+                  <p className="text-gray-600 text-sm">This session requires the sound from your computer; shares without it will be rejected</p>
+                </div>
+              </div>
+            )}
             
             <div className="flex items-start space-x-3">
               <span className="text-red-500 text-xl">❌</span>
@@ -262,11 +539,48 @@ function InstructionScreen({ onStart, attempts }) {
           </div>
         </div>
 
+        {policyStatus === 'error' && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800">❌ The session policy could not be loaded: {policyError}</p>
+          </div>
+        )}
+
+        {blockingChecks.length > 0 && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 text-left">
+            <p className="text-red-800 font-semibold mb-2">🚫 Screen sharing cannot start in this browser:</p>
+            <ul className="text-red-800 text-sm space-y-1">
+              {blockingChecks.map(({ id, remediation }) => (
+                <li key={id}>• {remediation}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {sessionEnded && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800">⛔ This session was ended after repeated violations and cannot be started again.</p>
+          </div>
+        )}
+
+        {isLocked && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800">
+              🔒 Too many failed attempts.{' '}
+              {lockedUntil === Infinity
+                ? 'Screen sharing is locked for this session.'
+                : `You can try again at ${new Date(lockedUntil).toLocaleTimeString()}.`}
+            </p>
+          </div>
+        )}
+
         <button
           onClick={onStart}
-          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-4 px-8 rounded-lg text-lg transition-colors duration-200"
+          disabled={policyStatus !== 'ready' || sessionEnded || isLocked || isBlocked}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-bold py-4 px-8 rounded-lg text-lg transition-colors duration-200"
         >
-          🚀 Start Screen Sharing
+          {policyStatus === 'loading'
+            ? '⏳ Loading Policy...'
+            : preflightStatus === 'running' ? '⏳ Checking Browser...' : '🚀 Start Screen Sharing'}
         </button>
       </div>
     </div>
@@ -300,13 +614,39 @@ function SuccessScreen({
   stream, 
   videoRef, 
   onRestart, 
+  onContinue,
+  attestation,
   monitoringEnabled, 
   onToggleMonitoring,
+  integritySignals,
+  onToggleIntegritySignal,
+  activeEpisodes,
+  activeConditions,
+  audioLevel,
+  enforcement,
+  snapshots,
+  snapshotOptions,
+  onSnapshotOptionsChange,
+  onCaptureSnapshot,
+  recordingEnabled,
+  recordingState,
+  onToggleRecording,
+  sessionId,
+  viewerCount,
   screenInfo,
   testDetectionFn,
-  currentMousePos
+  currentMousePos,
+  appliedHints,
+  policy
 }) {
   const [showTestPanel, setShowTestPanel] = useState(false);
+
+  // Attach the stream once the video element is mounted
+  useEffect(() => {
+    if (videoRef.current && stream) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [stream, videoRef]);
   const [testScreenX, setTestScreenX] = useState('');
   const [testScreenY, setTestScreenY] = useState('');
 
@@ -328,10 +668,14 @@ function SuccessScreen({
     }
   };
 
+  // Normalized bounds of the current screen
+  const bounds = screenInfo?.bounds || { left: 0, top: 0, right: 0, bottom: 0, devicePixelRatio: 1 };
+  const isInBounds = !isPointOutOfBounds(currentMousePos?.screenX || 0, currentMousePos?.screenY || 0, bounds);
+
   // Generate test values for out-of-bounds
   const generateOutOfBoundsTest = () => {
-    setTestScreenX((screenInfo?.availWidth + 100).toString());
-    setTestScreenY((screenInfo?.availHeight / 2).toString());
+    setTestScreenX((bounds.right + 100).toString());
+    setTestScreenY(Math.round((bounds.top + bounds.bottom) / 2).toString());
   };
   return (
     <div className="max-w-4xl mx-auto text-center">
@@ -356,6 +700,20 @@ function SuccessScreen({
           />
         </div>
         
+        {/* Attestation */}
+        {attestation && (
+          <p className="text-xs text-gray-500 mb-2">
+            <strong>🔏 Attestation issued:</strong> valid until{' '}
+            {new Date(attestation.claims.exp * 1000).toLocaleTimeString()}
+          </p>
+        )}
+
+        {/* Capture Hints */}
+        <p className="text-xs text-gray-500 mb-4">
+          <strong>Picker hints applied:</strong>{' '}
+          {appliedHints.length > 0 ? appliedHints.join(', ') : 'none (not supported by this browser)'}
+        </p>
+
         {/* Monitoring Status */}
         <div className={`inline-flex items-center px-4 py-2 rounded-lg mb-4 ${
           monitoringEnabled 
@@ -368,6 +726,82 @@ function SuccessScreen({
           </span>
         </div>
 
+        {/* Proctor Viewer */}
+        {sessionId && (
+          <p className="text-sm text-gray-600 mb-4">
+            👁️ Proctor link:{' '}
+            <a href={`/proctor/${sessionId}`} target="_blank" rel="noreferrer" className="font-mono text-blue-600 underline">
+              /proctor/{sessionId.slice(0, 8)}…
+            </a>
+            {' '}· {viewerCount} {viewerCount === 1 ? 'viewer' : 'viewers'}
+          </p>
+        )}
+
+        {/* Recording */}
+        <div className="flex items-center justify-center space-x-3 mb-6">
+          <button
+            onClick={onToggleRecording}
+            disabled={recordingState.status === 'unsupported'}
+            className={`font-bold py-2 px-4 rounded-lg transition-colors duration-200 disabled:bg-gray-400 text-white ${
+              recordingEnabled ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-700 hover:bg-gray-800'
+            }`}
+          >
+            {recordingEnabled ? '⏹️ Stop Recording' : '⏺️ Record Session'}
+          </button>
+          <span className="text-sm text-gray-600">
+            {recordingState.status === 'unsupported'
+              ? 'Recording is not supported in this browser'
+              : `Status: ${recordingState.status} · ${recordingState.uploaded} chunks uploaded${
+                recordingState.pending ? `, ${recordingState.pending} pending` : ''}`}
+          </span>
+        </div>
+
+        {/* Integrity Signals */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 max-w-lg mx-auto">
+          <h4 className="font-bold text-gray-800 mb-3">🛡️ Integrity Monitoring</h4>
+          <div className="grid grid-cols-2 gap-2 text-sm text-left">
+            {Object.entries(INTEGRITY_SIGNALS).map(([signal, { label }]) => (
+              <label key={signal} className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={integritySignals[signal]}
+                  onChange={() => onToggleIntegritySignal(signal)}
+                  className="h-4 w-4"
+                />
+                <span className="text-gray-700">{label}</span>
+                {activeEpisodes.includes(signal) && (
+                  <span className="text-xs font-semibold text-red-600">ongoing</span>
+                )}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {/* Strike State */}
+        <EnforcementPanel
+          strikes={enforcement.strikes}
+          thresholds={enforcement.thresholds}
+          enabled={policy.enforcement.enabled}
+        />
+
+        {/* System Audio */}
+        {policy.audio.required && <AudioLevelMeter level={audioLevel.level} check={audioLevel.check} />}
+
+        {/* Frame Analysis */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 max-w-lg mx-auto">
+          <h4 className="font-bold text-gray-800 mb-3">🖼️ Shared Content</h4>
+          <div className="grid grid-cols-3 gap-2 text-sm">
+            {Object.values(FRAME_CONDITIONS).map(condition => (
+              <span
+                key={condition}
+                className={`px-2 py-1 rounded ${activeConditions.includes(condition) ? 'bg-red-100 text-red-800 font-semibold' : 'bg-green-100 text-green-800'}`}
+              >
+                {activeConditions.includes(condition) ? '⚠️' : '✅'} {condition}
+              </span>
+            ))}
+          </div>
+        </div>
+
         {/* Live Mouse Coordinates */}
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6 max-w-lg mx-auto">
           <h4 className="font-bold text-blue-800 mb-3">🖱️ Live Mouse Coordinates</h4>
@@ -388,22 +822,31 @@ function SuccessScreen({
                 <p><strong>Available Height:</strong> <span className="font-mono text-blue-700">{screenInfo?.availHeight || 0}</span></p>
               </div>
               <div>
-                <p><strong>Valid X Range:</strong> <span className="font-mono text-blue-700">0 - {screenInfo?.availWidth || 0}</span></p>
-                <p><strong>Valid Y Range:</strong> <span className="font-mono text-blue-700">0 - {screenInfo?.availHeight || 0}</span></p>
+                <p><strong>Valid X Range:</strong> <span className="font-mono text-blue-700">{bounds.left} - {bounds.right}</span></p>
+                <p><strong>Valid Y Range:</strong> <span className="font-mono text-blue-700">{bounds.top} - {bounds.bottom}</span></p>
               </div>
             </div>
+            <div className="grid grid-cols-2 gap-4 text-xs text-blue-600 mt-2">
+              <p><strong>Device Pixels:</strong> {toDevicePixels(bounds.left, bounds)},{toDevicePixels(bounds.top, bounds)} → {toDevicePixels(bounds.right, bounds)},{toDevicePixels(bounds.bottom, bounds)}</p>
+              <p><strong>Pixel Ratio:</strong> {bounds.devicePixelRatio}</p>
+            </div>
+          </div>
+
+          {/* Detection Mode */}
+          <div className="border-t border-blue-200 pt-3 mb-3 text-sm">
+            <p><strong>Detection Mode:</strong> <span className="font-mono text-blue-700">
+              {screenInfo?.detectionMode === 'window-management' ? 'Window Management API' : 'Cursor Heuristic'}
+            </span></p>
+            {screenInfo?.screenCount !== null && (
+              <p><strong>Screens Attached:</strong> <span className="font-mono text-blue-700">{screenInfo?.screenCount}</span></p>
+            )}
           </div>
 
           {/* Status */}
           <div className="text-xs text-blue-600">
             <p><strong>Status:</strong> 
-              <span className={`ml-1 font-semibold ${
-                (currentMousePos?.screenX >= 0 && currentMousePos?.screenX <= (screenInfo?.availWidth || 0) &&
-                 currentMousePos?.screenY >= 0 && currentMousePos?.screenY <= (screenInfo?.availHeight || 0))
-                  ? 'text-green-600' : 'text-red-600'
-              }`}>
-                {(currentMousePos?.screenX >= 0 && currentMousePos?.screenX <= (screenInfo?.availWidth || 0) &&
-                  currentMousePos?.screenY >= 0 && currentMousePos?.screenY <= (screenInfo?.availHeight || 0))
+              <span className={`ml-1 font-semibold ${isInBounds ? 'text-green-600' : 'text-red-600'}`}>
+                {isInBounds
                   ? '✅ In Bounds' : '⚠️ Out of Bounds'}
               </span>
             </p>
@@ -437,7 +880,7 @@ function SuccessScreen({
           </button>
           
           <button
-            onClick={() => alert('Continue with your application logic here!')}
+            onClick={onContinue}
             className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg transition-colors duration-200"
           >
             ▶️ Continue Application
@@ -445,6 +888,20 @@ function SuccessScreen({
         </div>
       </div>
 
+      {/* Session Policy */}
+      <PolicySummary policy={policy} />
+
+      {/* Evidence Snapshots */}
+      <SnapshotGallery
+        snapshots={snapshots}
+        options={snapshotOptions}
+        onOptionsChange={onSnapshotOptionsChange}
+        onCaptureNow={onCaptureSnapshot}
+      />
+
+      {/* Session Audit Log */}
+      <SessionLogPanel />
+
       {/* Testing Panel */}
       {showTestPanel && (
         <div className="bg-white rounded-2xl shadow-xl p-6 mt-6">
@@ -464,8 +921,8 @@ function SuccessScreen({
               </div>
             </div>
             <div className="mt-3 text-xs text-blue-600">
-              <p><strong>Valid Range:</strong> X: 0 to {screenInfo?.availWidth || 'N/A'}, Y: 0 to {screenInfo?.availHeight || 'N/A'}</p>
-              <p><strong>Out-of-bounds examples:</strong> X: {(screenInfo?.availWidth || 0) + 100}, Y: -50</p>
+              <p><strong>Valid Range:</strong> X: {bounds.left} to {bounds.right}, Y: {bounds.top} to {bounds.bottom}</p>
+              <p><strong>Out-of-bounds examples:</strong> X: {bounds.right + 100}, Y: {bounds.top - 50}</p>
             </div>
           </div>
 
@@ -517,8 +974,8 @@ function SuccessScreen({
             
             <button
               onClick={() => {
-                setTestScreenX((screenInfo?.availWidth / 2).toString());
-                setTestScreenY((screenInfo?.availHeight / 2).toString());
+                setTestScreenX(Math.round((bounds.left + bounds.right) / 2).toString());
+                setTestScreenY(Math.round((bounds.top + bounds.bottom) / 2).toString());
               }}
               className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg transition-colors duration-200"
             >
@@ -531,7 +988,7 @@ function SuccessScreen({
             <h4 className="font-bold text-gray-800 mb-2">📝 How to Test</h4>
             <ul className="text-sm text-gray-600 space-y-1">
               <li>• <strong>In-bounds test:</strong> Enter coordinates within the screen range (should show no alert)</li>
-              <li>• <strong>Out-of-bounds test:</strong> Enter coordinates outside the screen range (should show popup)</li>
+              <li>• <strong>Out-of-bounds test:</strong> Enter coordinates outside the screen range (should show a violation notice)</li>
               <li>• <strong>Quick test:</strong> Use the "Generate" buttons to automatically fill test values</li>
               <li>• <strong>Note:</strong> Monitoring must be enabled for tests to work</li>
             </ul>
@@ -542,8 +999,55 @@ function SuccessScreen({
   );
 }
 
+// Share Interrupted Component
+function InterruptedScreen({ message, onReshare, onRestart }) {
+  return (
+    <div className="max-w-2xl mx-auto text-center">
+      <div className="bg-white rounded-2xl shadow-xl p-8">
+        <div className="text-6xl mb-6">⚠️</div>
+        <h2 className="text-2xl font-bold text-red-600 mb-4">
+          Screen Sharing Interrupted
+        </h2>
+        <p className="text-gray-600 mb-6">{message}</p>
+        <div className="flex justify-center space-x-4">
+          <button
+            onClick={onRestart}
+            className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg transition-colors duration-200"
+          >
+            🔄 Restart Process
+          </button>
+          <button
+            onClick={onReshare}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg transition-colors duration-200"
+          >
+            🖥️ Share Screen Again
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Session Ended Component
+function EndedScreen({ message }) {
+  return (
+    <div className="max-w-2xl mx-auto text-center">
+      <div className="bg-white rounded-2xl shadow-xl p-8">
+        <div className="text-6xl mb-6">⛔</div>
+        <h2 className="text-2xl font-bold text-red-600 mb-4">
+          Session Ended
+        </h2>
+        <p className="text-gray-600 mb-2">{message}</p>
+        <p className="text-gray-500 text-sm">
+          Screen sharing has stopped. Please contact your proctor if you believe this is a mistake.
+        </p>
+      </div>
+    </div>
+  );
+}
+
 // Retry Modal Component
-function RetryModal({ message, onRetry, onCancel, attempts }) {
+function RetryModal({ message, onRetry, onCancel, attempts, hintAfter, isLocked }) {
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-2xl shadow-2xl p-8 max-w-md mx-4">
@@ -554,7 +1058,15 @@ function RetryModal({ message, onRetry, onCancel, attempts }) {
           </h3>
           <p className="text-gray-600 mb-6">{message}</p>
           
-          {attempts > 2 && (
+          {isLocked && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-6">
+              <p className="text-red-800 text-sm">
+                🔒 <strong>No attempts left.</strong> This session does not allow further screen sharing attempts for now.
+              </p>
+            </div>
+          )}
+
+          {attempts > hintAfter && !isLocked && (
             <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 mb-6">
               <p className="text-amber-800 text-sm">
                 💡 <strong>Having trouble?</strong> Make sure to select "Entire Screen" or "Monitor", not a tab or window.
@@ -571,7 +1083,8 @@ function RetryModal({ message, onRetry, onCancel, attempts }) {
             </button>
             <button
               onClick={onRetry}
-              className="flex-1 bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-4 rounded-lg transition-colors duration-200"
+              disabled={isLocked}
+              className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-bold py-3 px-4 rounded-lg transition-colors duration-200"
             >
               Try Again
             </button>
@@ -0,0 +1,154 @@
+import { useState, useEffect, useRef } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { createSignalingChannel, forwardIceCandidates, RTC_CONFIGURATION } from '../../lib/signalingClient';
+
+// The proctor credential is kept for the browser tab only
+const TOKEN_STORAGE_KEY = 'proctorToken';
+
+// Live viewer for a candidate's validated screen
+export default function ProctorViewer() {
+  const router = useRouter();
+  const { sessionId } = router.query;
+  const videoRef = useRef(null);
+  const [status, setStatus] = useState('connecting'); // 'connecting', 'waiting', 'live', 'ended', 'rejected'
+  const [token, setToken] = useState(null);
+  const [tokenInput, setTokenInput] = useState('');
+
+  useEffect(() => {
+    setToken(window.sessionStorage.getItem(TOKEN_STORAGE_KEY));
+  }, []);
+
+  const saveToken = (event) => {
+    event.preventDefault();
+    if (!tokenInput) return;
+    window.sessionStorage.setItem(TOKEN_STORAGE_KEY, tokenInput);
+    setStatus('connecting');
+    setToken(tokenInput);
+  };
+
+  useEffect(() => {
+    if (!sessionId || !token) return;
+
+    let connection = null;
+    let candidatePeerId = null;
+
+    const closeConnection = () => {
+      if (connection) {
+        connection.close();
+        connection = null;
+      }
+      if (videoRef.current) {
+        videoRef.current.srcObject = null;
+      }
+    };
+
+    // Answer the candidate's offer and show the incoming stream
+    const acceptOffer = async (from, offer) => {
+      closeConnection();
+      connection = new RTCPeerConnection(RTC_CONFIGURATION);
+      forwardIceCandidates(connection, channel, from);
+
+      connection.addEventListener('track', (event) => {
+        if (videoRef.current) {
+          videoRef.current.srcObject = event.streams[0];
+        }
+        setStatus('live');
+      });
+      connection.addEventListener('connectionstatechange', () => {
+        if (['failed', 'closed'].includes(connection?.connectionState)) {
+          setStatus('ended');
+        }
+      });
+
+      await connection.setRemoteDescription(offer);
+      const answer = await connection.createAnswer();
+      await connection.setLocalDescription(answer);
+      channel.send(from, 'answer', connection.localDescription.toJSON());
+    };
+
+    const handleMessage = async (message) => {
+      try {
+        if (message.type === 'rejected') {
+          // A wrong token, or a session that does not exist or has ended
+          window.sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+          setStatus('rejected');
+          setToken(null);
+        } else if (message.type === 'welcome') {
+          candidatePeerId = message.peers.find(peer => peer.role === 'candidate')?.peerId || null;
+          setStatus(candidatePeerId ? 'connecting' : 'waiting');
+        } else if (message.type === 'peer-joined' && message.role === 'candidate') {
+          candidatePeerId = message.peerId;
+        } else if (message.type === 'offer' && message.from === candidatePeerId) {
+          // Only the candidate connected to the session may replace the stream
+          await acceptOffer(message.from, message.payload);
+        } else if (message.type === 'candidate' && message.from === candidatePeerId) {
+          await connection?.addIceCandidate(message.payload);
+        } else if ((message.type === 'peer-left' || message.type === 'bye') &&
+          (message.peerId || message.from) === candidatePeerId) {
+          closeConnection();
+          if (message.type === 'peer-left') candidatePeerId = null;
+          setStatus('ended');
+        }
+      } catch (error) {
+        console.error('Proctor viewer signaling failed:', error);
+      }
+    };
+
+    const channel = createSignalingChannel(sessionId, 'proctor', handleMessage, { token });
+
+    return () => {
+      closeConnection();
+      channel.close();
+    };
+  }, [sessionId, token]);
+
+  const STATUS_TEXT = {
+    connecting: '🔄 Connecting to the candidate…',
+    waiting: '⏳ Waiting for the candidate to share their screen…',
+    live: '🔴 Live',
+    ended: '⏹️ The candidate stopped sharing. Waiting for them to share again…',
+    rejected: '❌ Could not join. Check the proctor token; the session may also have ended.'
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white">
+      <Head>
+        <title>Proctor Viewer</title>
+      </Head>
+
+      <div className="container mx-auto px-4 py-8 text-center">
+        <h1 className="text-3xl font-bold mb-2">👁️ Proctor Viewer</h1>
+        <p className="text-gray-400 mb-6 font-mono text-sm">Session {sessionId}</p>
+
+        {(token || status === 'rejected') && (
+          <div className={`inline-block px-4 py-2 rounded-lg mb-6 ${status === 'live' ? 'bg-red-600' : 'bg-gray-700'}`}>
+            {STATUS_TEXT[status]}
+          </div>
+        )}
+
+        {!token && (
+          <form onSubmit={saveToken} className="max-w-sm mx-auto mb-6 space-y-3">
+            <input
+              type="password"
+              value={tokenInput}
+              onChange={event => setTokenInput(event.target.value)}
+              placeholder="Proctor token"
+              className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-600 text-white"
+            />
+            <button
+              type="submit"
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors duration-200"
+            >
+              🔑 Watch Session
+            </button>
+          </form>
+        )}
+
+        <div className="bg-black rounded-lg p-2 max-w-5xl mx-auto">
+          <video ref={videoRef} autoPlay playsInline muted className="w-full rounded-lg" />
+        </div>
+      </div>
+    </div>
+  );
+}
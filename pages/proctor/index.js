@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useSessionDashboard } from '../../hooks/useSessionDashboard';
+import { SESSION_FILTERS } from '../../lib/sessionStatus';
+
+// Shared with the live viewer, so its links open without asking again
+const TOKEN_STORAGE_KEY = 'proctorToken';
+
+const STEP_STYLES = {
+  instructions: 'bg-gray-100 text-gray-800',
+  requesting: 'bg-blue-100 text-blue-800',
+  success: 'bg-green-100 text-green-800',
+  error: 'bg-amber-100 text-amber-800',
+  interrupted: 'bg-orange-100 text-orange-800'
+};
+
+const formatAge = (timestamp, now) => {
+  const seconds = Math.max(0, Math.round((now - new Date(timestamp).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  return `${Math.floor(seconds / 3600)}h ago`;
+};
+
+// Overview of every active candidate session, updated live
+export default function ProctorDashboard() {
+  const [token, setToken] = useState(null);
+  const [tokenInput, setTokenInput] = useState('');
+  const { sessions, isConnected, isRejected } = useSessionDashboard(token);
+  const [filters, setFilters] = useState({ hasViolations: false, interrupted: false, lost: false });
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    setToken(window.sessionStorage.getItem(TOKEN_STORAGE_KEY));
+  }, []);
+
+  // A refused token is forgotten so the form asks again
+  useEffect(() => {
+    if (!isRejected) return;
+    window.sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    setToken(null);
+  }, [isRejected]);
+
+  const saveToken = (event) => {
+    event.preventDefault();
+    if (!tokenInput) return;
+    window.sessionStorage.setItem(TOKEN_STORAGE_KEY, tokenInput);
+    setToken(tokenInput);
+  };
+
+  // Keep the heartbeat ages ticking
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const visibleSessions = sessions.filter(status =>
+    Object.keys(SESSION_FILTERS).every(key => !filters[key] || SESSION_FILTERS[key].matches(status))
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      <Head>
+        <title>Proctor Dashboard</title>
+      </Head>
+
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          <div className="flex items-center justify-between mb-6">
+            <h1 className="text-3xl font-bold text-gray-800">🧑‍🏫 Proctor Dashboard</h1>
+            {token && (
+              <span className={`text-sm font-semibold px-3 py-1 rounded-full ${isConnected ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                {isConnected ? '🟢 Live' : '🔴 Reconnecting…'}
+              </span>
+            )}
+          </div>
+
+          {!token ? (
+            <form onSubmit={saveToken} className="max-w-sm space-y-3">
+              {isRejected && (
+                <p className="text-red-700">❌ The proctor token was refused. Check it and try again.</p>
+              )}
+              <input
+                type="password"
+                value={tokenInput}
+                onChange={event => setTokenInput(event.target.value)}
+                placeholder="Proctor token"
+                className="w-full px-3 py-2 rounded-lg border border-gray-300"
+              />
+              <button
+                type="submit"
+                className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors duration-200"
+              >
+                🔑 Open Dashboard
+              </button>
+            </form>
+          ) : (
+            <>
+              <div className="flex items-center space-x-6 mb-4 text-sm text-gray-700">
+                {Object.entries(SESSION_FILTERS).map(([key, filter]) => (
+                  <label key={key} className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={filters[key]}
+                      onChange={() => setFilters(prev => ({ ...prev, [key]: !prev[key] }))}
+                    />
+                    <span>{filter.label}</span>
+                  </label>
+                ))}
+                <span className="text-gray-500">
+                  Showing {visibleSessions.length} of {sessions.length} open sessions
+                </span>
+              </div>
+
+              <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full text-sm text-left">
+                  <thead className="bg-gray-50 text-gray-600">
+                    <tr>
+                      <th className="p-3">Session</th>
+                      <th className="p-3">Status</th>
+                      <th className="p-3">Step</th>
+                      <th className="p-3">Attempts</th>
+                      <th className="p-3">Monitoring</th>
+                      <th className="p-3">Last Heartbeat</th>
+                      <th className="p-3">Violations</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {visibleSessions.length === 0 && (
+                      <tr>
+                        <td colSpan={7} className="p-3 text-gray-500">No matching sessions.</td>
+                      </tr>
+                    )}
+                    {visibleSessions.map(status => (
+                      <tr key={status.id} className={status.status === 'lost' ? 'bg-red-50' : status.interrupted ? 'bg-orange-50' : ''}>
+                        <td className="p-3 font-mono">
+                          <a href={`/proctor/${status.id}`} target="_blank" rel="noreferrer" className="text-blue-600 underline">
+                            {status.id.slice(0, 8)}
+                          </a>
+                        </td>
+                        <td className="p-3">
+                          {status.status === 'lost' ? (
+                            <span className="text-red-700 font-semibold">📴 Lost</span>
+                          ) : (
+                            <span className="text-green-700">{status.streamActive === false ? '⚠️ No stream' : '🟢 Online'}</span>
+                          )}
+                        </td>
+                        <td className="p-3">
+                          <span className={`text-xs font-semibold px-2 py-1 rounded ${STEP_STYLES[status.step] || 'bg-gray-100 text-gray-800'}`}>
+                            {status.step || 'unknown'}
+                          </span>
+                        </td>
+                        <td className="p-3">{status.attempts}</td>
+                        <td className="p-3">
+                          {status.monitoring === null ? '—' : status.monitoring ? '👁️ Active' : '⏸️ Off'}
+                        </td>
+                        <td className="p-3 text-gray-600" title={`Last event ${formatAge(status.lastSeenAt, now)}`}>
+                          {status.lastHeartbeatAt ? formatAge(status.lastHeartbeatAt, now) : '—'}
+                        </td>
+                        <td className="p-3">
+                          {status.violationCount > 0 ? (
+                            <span className="text-red-700" title={status.lastViolation?.message}>
+                              ⚠️ {status.violationCount}
+                              {status.enforcementLevel && (
+                                <span className="ml-2 text-xs font-semibold px-2 rounded bg-red-100">{status.enforcementLevel}</span>
+                              )}
+                            </span>
+                          ) : (
+                            <span className="text-gray-500">0</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+// Screen Share Validator embed SDK.
+// Mounts the validator in an iframe and relays its postMessage events.
+//
+//   const validator = ScreenShareValidatorSDK.mount({
+//     container: document.getElementById('validator'),
+//     validatorUrl: 'https://validator.example.com',
+//     onEvent: ({ type, payload }) => console.log(type, payload)
+//   });
+//   button.onclick = () => validator.start(); // must run inside a user gesture
+(function (global) {
+  'use strict';
+
+  var VALIDATOR_SOURCE = 'screen-share-validator';
+  var HOST_SOURCE = 'screen-share-validator-host';
+
+  function mount(options) {
+    if (!options || !options.container || !options.validatorUrl) {
+      throw new Error('ScreenShareValidatorSDK.mount requires container and validatorUrl');
+    }
+
+    var url = new URL('/embed', options.validatorUrl);
+    url.searchParams.set('hostOrigin', global.location.origin);
+    // A session the host backend provisioned, with the client secret it got for it
+    if (options.session) {
+      url.searchParams.set('session', options.session);
+      url.searchParams.set('secret', options.sessionSecret || '');
+    }
+    var validatorOrigin = url.origin;
+    var listeners = {};
+
+    var iframe = document.createElement('iframe');
+    iframe.src = url.toString();
+    iframe.allow = 'display-capture; window-management; fullscreen';
+    iframe.title = 'Screen Share Validator';
+    iframe.style.border = '0';
+    iframe.style.width = options.width || '100%';
+    iframe.style.height = options.height || '720px';
+    options.container.appendChild(iframe);
+
+    function emit(type, message) {
+      (listeners[type] || []).concat(listeners['*'] || []).forEach(function (listener) {
+        listener(message);
+      });
+    }
+
+    function handleMessage(event) {
+      if (event.origin !== validatorOrigin || event.source !== iframe.contentWindow) return;
+      var message = event.data || {};
+      if (message.source !== VALIDATOR_SOURCE) return;
+
+      if (options.onEvent) options.onEvent(message);
+      emit(message.type, message);
+    }
+
+    function send(command, payload, delegateCapture) {
+      var target = { targetOrigin: validatorOrigin };
+      // Capability delegation lets the iframe call getDisplayMedia from the host's click
+      if (delegateCapture) target.delegate = 'display-capture';
+      iframe.contentWindow.postMessage({ source: HOST_SOURCE, command: command, payload: payload || {} }, target);
+    }
+
+    global.addEventListener('message', handleMessage);
+
+    return {
+      iframe: iframe,
+      start: function () { send('start', {}, true); },
+      restart: function () { send('restart'); },
+      stopMonitoring: function () { send('stop-monitoring'); },
+      startMonitoring: function () { send('start-monitoring'); },
+      on: function (type, listener) {
+        (listeners[type] = listeners[type] || []).push(listener);
+        return function () {
+          listeners[type] = listeners[type].filter(function (l) { return l !== listener; });
+        };
+      },
+      destroy: function () {
+        global.removeEventListener('message', handleMessage);
+        listeners = {};
+        iframe.remove();
+      }
+    };
+  }
+
+  global.ScreenShareValidatorSDK = { mount: mount };
+})(window);
@@ -0,0 +1,53 @@
+// Local webhook receiver for trying out session webhooks.
+//
+//   WEBHOOK_SECRET=dev-secret node scripts/webhook-receiver.js --port 4010 --fail 2
+//
+// Point the app at it with
+//   WEBHOOK_ENDPOINTS='[{"url":"http://localhost:4010/hook","secret":"dev-secret","events":["*"]}]'
+// ("*" leaves out session.heartbeat; add it to the list to receive heartbeats too)
+// --fail N answers the first N deliveries of every event with HTTP 500 to exercise retries.
+const http = require('http');
+const { createHmac, timingSafeEqual } = require('crypto');
+
+const readFlag = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+};
+
+const port = Number(readFlag('port', 4010));
+const failures = Number(readFlag('fail', 0));
+const secret = process.env.WEBHOOK_SECRET || '';
+const attemptsById = new Map();
+
+const verifySignature = (body, timestamp, signature) => {
+  if (!secret) return 'unchecked (no WEBHOOK_SECRET)';
+  if (!signature || !timestamp) return 'missing';
+  const expected = `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  const valid = expected.length === signature.length &&
+    timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  return valid ? 'valid' : 'INVALID';
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const id = req.headers['x-webhook-id'];
+    const seen = (attemptsById.get(id) || 0) + 1;
+    attemptsById.set(id, seen);
+
+    const signature = verifySignature(body, req.headers['x-webhook-timestamp'], req.headers['x-webhook-signature']);
+    const shouldFail = seen <= failures;
+
+    console.log(`[${new Date().toISOString()}] ${req.headers['x-webhook-event']} ` +
+      `attempt ${req.headers['x-webhook-attempt']} signature ${signature}${shouldFail ? ' → simulated failure' : ''}`);
+    console.log(body);
+
+    res.writeHead(shouldFail || signature === 'INVALID' ? 500 : 204);
+    res.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/hook`);
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { startAttempt, judgeAttempt, getLockedUntil, EMPTY_ATTEMPTS } from '../lib/server/attempts';
+
+const rules = { max: 2, lockoutMs: 60000 };
+const now = Date.parse('2026-01-01T10:00:00Z');
+
+// Start an attempt and judge it, like a share request followed by its verdict
+const fail = (attempts, at = now) => judgeAttempt(startAttempt(attempts, rules, at).attempts, false);
+
+describe('share attempts', () => {
+  it('counts attempts until the limit is used up', () => {
+    const first = startAttempt(EMPTY_ATTEMPTS, rules, now);
+    expect(first).toMatchObject({ attempts: { count: 1, judged: false }, lockedUntil: null });
+
+    const used = fail(fail(EMPTY_ATTEMPTS));
+    expect(used.count).toBe(2);
+    expect(startAttempt(used, rules, now + 1000)).toEqual({ attempts: used, lockedUntil: now + 60000 });
+  });
+
+  it('starts over once the lockout has run its course', () => {
+    const used = fail(fail(EMPTY_ATTEMPTS));
+    expect(getLockedUntil(used, rules, now + 60000)).toBeNull();
+    expect(startAttempt(used, rules, now + 60000).attempts.count).toBe(1);
+  });
+
+  it('locks for the rest of the session without a lockout duration', () => {
+    const forever = { max: 1, lockoutMs: null };
+    const used = judgeAttempt(startAttempt(EMPTY_ATTEMPTS, forever, now).attempts, false);
+    expect(getLockedUntil(used, forever, now + 365 * 86400000)).toBe(Infinity);
+  });
+
+  it('never locks after an accepted share, and starts the count over', () => {
+    const accepted = judgeAttempt(startAttempt(fail(EMPTY_ATTEMPTS), rules, now).attempts, true);
+    expect(accepted).toMatchObject({ count: 2, accepted: true });
+    expect(getLockedUntil(accepted, rules, now)).toBeNull();
+    expect(startAttempt(accepted, rules, now).attempts.count).toBe(1);
+  });
+
+  it('counts unjudged attempts, e.g. a closed picker, as failed', () => {
+    const opened = startAttempt(startAttempt(EMPTY_ATTEMPTS, rules, now).attempts, rules, now).attempts;
+    expect(getLockedUntil(opened, rules, now)).toBe(now + 60000);
+  });
+
+  it('judges each attempt once', () => {
+    const judged = fail(EMPTY_ATTEMPTS);
+    expect(judgeAttempt(judged, true)).toBeNull();
+    expect(judgeAttempt(EMPTY_ATTEMPTS, true)).toBeNull();
+  });
+
+  it('has no limit when max is null', () => {
+    const unlimited = { max: null, lockoutMs: null };
+    let attempts = EMPTY_ATTEMPTS;
+    for (let i = 0; i < 10; i++) attempts = judgeAttempt(startAttempt(attempts, unlimited, now).attempts, false);
+    expect(startAttempt(attempts, unlimited, now).lockedUntil).toBeNull();
+  });
+});
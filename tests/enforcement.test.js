@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { findOpenEnforcement, NOTHING_OPEN } from '../lib/enforcement';
+
+const strike = (level, extra = {}) => ({ action: 'strike', level, violationType: 'tab-hidden', strikes: 1, ...extra });
+
+describe('findOpenEnforcement', () => {
+  it('finds nothing open without prompts or pauses', () => {
+    expect(findOpenEnforcement([])).toEqual(NOTHING_OPEN);
+    expect(findOpenEnforcement([strike('warn'), strike(null)])).toEqual(NOTHING_OPEN);
+  });
+
+  it('keeps an acknowledgment open until it is confirmed', () => {
+    const prompted = [strike('warn'), strike('acknowledge', { strikes: 3 }), strike('warn', { violationType: 'focus-lost' })];
+    expect(findOpenEnforcement(prompted)).toEqual({
+      awaitingAcknowledgment: { type: 'tab-hidden', strikes: 3, level: 'acknowledge' },
+      pausedUntil: null
+    });
+    expect(findOpenEnforcement([...prompted, { action: 'acknowledged', violationType: 'tab-hidden', strikes: 3 }]))
+      .toEqual(NOTHING_OPEN);
+  });
+
+  it('keeps a pause open until the session resumes', () => {
+    const paused = [strike('acknowledge'), strike('pause', { pausedUntil: '2026-01-01T12:01:00.000Z' })];
+    expect(findOpenEnforcement(paused)).toEqual({
+      awaitingAcknowledgment: null,
+      pausedUntil: Date.parse('2026-01-01T12:01:00.000Z')
+    });
+    expect(findOpenEnforcement([...paused, { action: 'resumed', pausedUntil: '2026-01-01T12:01:00.000Z' }]))
+      .toEqual(NOTHING_OPEN);
+  });
+
+  it('closes everything once the session ends', () => {
+    expect(findOpenEnforcement([strike('pause', { pausedUntil: '2026-01-01T12:01:00.000Z' }), strike('end')]))
+      .toEqual(NOTHING_OPEN);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toLuma,
+  getLumaStats,
+  getFrameDifference,
+  classifyFrame,
+  createFrameAnalyzer,
+  DEFAULT_FRAME_ANALYSIS_OPTIONS,
+  FRAME_CONDITIONS
+} from '../lib/frameAnalysis';
+
+const PIXELS = 64 * 36;
+
+// RGBA frame filled with one colour
+const solidRgba = ([r, g, b]) => {
+  const rgba = new Uint8ClampedArray(PIXELS * 4);
+  for (let i = 0; i < PIXELS; i++) rgba.set([r, g, b, 255], i * 4);
+  return rgba;
+};
+
+// Luma frame with detail: a gradient shifted by offset so frames can differ
+const detailedLuma = (offset = 0) => {
+  const luma = new Float32Array(PIXELS);
+  for (let i = 0; i < PIXELS; i++) luma[i] = (i * 7 + offset) % 256;
+  return luma;
+};
+
+const flatLuma = (value) => new Float32Array(PIXELS).fill(value);
+
+// Feed frames one second apart and collect every start and end
+const run = (analyzer, frames, startAt = 0) => frames.reduce((result, frame, index) => {
+  const { started, ended } = analyzer.analyze(frame, startAt + index * 1000);
+  return { started: [...result.started, ...started], ended: [...result.ended, ...ended] };
+}, { started: [], ended: [] });
+
+describe('toLuma', () => {
+  it('weights the channels with BT.601 and ignores alpha', () => {
+    const luma = toLuma(new Uint8ClampedArray([255, 0, 0, 0, 0, 255, 0, 255, 0, 0, 255, 128]));
+    expect(luma).toHaveLength(3);
+    expect(luma[0]).toBeCloseTo(76.245);
+    expect(luma[1]).toBeCloseTo(149.685);
+    expect(luma[2]).toBeCloseTo(29.07);
+  });
+
+  it('maps black and white to the ends of the range', () => {
+    expect(getLumaStats(toLuma(solidRgba([0, 0, 0])))).toEqual({ mean: 0, variance: 0 });
+    expect(getLumaStats(toLuma(solidRgba([255, 255, 255]))).mean).toBeCloseTo(255);
+  });
+});
+
+describe('classifyFrame', () => {
+  it('calls a dark flat frame black', () => {
+    const luma = toLuma(solidRgba([4, 4, 4]));
+    const frame = classifyFrame(getLumaStats(luma), getFrameDifference(null, luma));
+    expect(frame).toMatchObject({ isUniform: true, isBlack: true, isSuddenChange: true });
+  });
+
+  it('calls a bright flat frame uniform but not black', () => {
+    const luma = flatLuma(240);
+    const frame = classifyFrame(getLumaStats(luma), getFrameDifference(detailedLuma(), luma));
+    expect(frame).toMatchObject({ isUniform: true, isBlack: false, isSuddenChange: true });
+  });
+
+  it('calls an identical detailed frame unchanged', () => {
+    const luma = detailedLuma();
+    const frame = classifyFrame(getLumaStats(luma), getFrameDifference(detailedLuma(), luma));
+    expect(frame).toMatchObject({ isUniform: false, isBlack: false, isUnchanged: true, isSuddenChange: false });
+  });
+
+  it('treats the first frame and a size change as changed', () => {
+    expect(getFrameDifference(null, detailedLuma())).toBe(Infinity);
+    expect(getFrameDifference(new Float32Array(10), detailedLuma())).toBe(Infinity);
+  });
+
+  it('uses the thresholds it is given', () => {
+    const stats = { mean: 20, variance: 0 };
+    expect(classifyFrame(stats, 0, DEFAULT_FRAME_ANALYSIS_OPTIONS).isBlack).toBe(false);
+    expect(classifyFrame(stats, 0, { ...DEFAULT_FRAME_ANALYSIS_OPTIONS, blackLumaThreshold: 32 }).isBlack).toBe(true);
+  });
+});
+
+describe('createFrameAnalyzer', () => {
+  it('starts a black screen on its first frame and ends it with the duration', () => {
+    const analyzer = createFrameAnalyzer();
+    const black = toLuma(solidRgba([0, 0, 0]));
+
+    const { started, ended } = run(analyzer, [detailedLuma(), black, black, black, detailedLuma(5)]);
+    expect(started).toEqual([{ condition: FRAME_CONDITIONS.BLACK, startedAt: 1000 }]);
+    expect(ended).toEqual([{ condition: FRAME_CONDITIONS.BLACK, startedAt: 1000, endedAt: 4000, duration: 3000 }]);
+    expect(analyzer.getActive()).toEqual([]);
+  });
+
+  it('reports a frozen screen only once the window has passed', () => {
+    const analyzer = createFrameAnalyzer({ frozenWindowMs: 5000 });
+    const still = detailedLuma();
+
+    // Frames at 0..4s are identical, which is still inside the window
+    const early = run(analyzer, [still, still, still, still, still]);
+    expect(early.started).toEqual([]);
+
+    // The 5s frame passes the window; the start is dated to the first still frame
+    expect(analyzer.analyze(still, 5000).started).toEqual([{ condition: FRAME_CONDITIONS.FROZEN, startedAt: 0 }]);
+    expect(analyzer.analyze(still, 6000).started).toEqual([]);
+    expect(analyzer.getActive()).toEqual([FRAME_CONDITIONS.FROZEN]);
+
+    expect(analyzer.analyze(detailedLuma(5), 8000).ended).toEqual([
+      { condition: FRAME_CONDITIONS.FROZEN, startedAt: 0, endedAt: 8000, duration: 8000 }
+    ]);
+  });
+
+  it('does not call a moving screen frozen', () => {
+    const analyzer = createFrameAnalyzer({ frozenWindowMs: 3000 });
+    const frames = Array.from({ length: 10 }, (_, index) => detailedLuma(index * 3));
+    expect(run(analyzer, frames).started).toEqual([]);
+  });
+
+  it('reports a sudden switch to a flat colour as occlusion until detail returns', () => {
+    const analyzer = createFrameAnalyzer();
+    const cover = flatLuma(200);
+
+    const { started, ended } = run(analyzer, [detailedLuma(), detailedLuma(1), cover, cover, detailedLuma(2)]);
+    expect(started).toEqual([{ condition: FRAME_CONDITIONS.OCCLUDED, startedAt: 2000 }]);
+    expect(ended).toEqual([{ condition: FRAME_CONDITIONS.OCCLUDED, startedAt: 2000, endedAt: 4000, duration: 2000 }]);
+  });
+
+  it('does not call a small step between flat colours occlusion', () => {
+    const analyzer = createFrameAnalyzer();
+    // Black, then a dark grey just above the black threshold: the change is too small to be sudden
+    const { started, ended } = run(analyzer, [detailedLuma(), flatLuma(4), flatLuma(24)]);
+    expect(started).toEqual([{ condition: FRAME_CONDITIONS.BLACK, startedAt: 1000 }]);
+    expect(ended.map(({ condition }) => condition)).toEqual([FRAME_CONDITIONS.BLACK]);
+    expect(analyzer.getActive()).toEqual([]);
+  });
+
+  it('ends every open condition on flush', () => {
+    const analyzer = createFrameAnalyzer();
+    analyzer.analyze(toLuma(solidRgba([0, 0, 0])), 1000);
+
+    expect(analyzer.flush(4000).ended).toEqual([
+      { condition: FRAME_CONDITIONS.BLACK, startedAt: 1000, endedAt: 4000, duration: 3000 }
+    ]);
+    expect(analyzer.getActive()).toEqual([]);
+  });
+});
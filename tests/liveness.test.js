@@ -0,0 +1,60 @@
+import { describe, it, expect, vi } from 'vitest';
+import { findStaleSessions, createLivenessSweeper, getLivenessTimeout, DEFAULT_LIVENESS_TIMEOUT_MS } from '../lib/server/liveness';
+
+const NOW = Date.parse('2026-01-01T12:00:00.000Z');
+const secondsAgo = (seconds) => new Date(NOW - seconds * 1000).toISOString();
+
+const SESSIONS = [
+  { id: 'fresh-heartbeat', status: 'active', createdAt: secondsAgo(600), lastHeartbeatAt: secondsAgo(5) },
+  { id: 'silent', status: 'active', createdAt: secondsAgo(600), lastHeartbeatAt: secondsAgo(45) },
+  { id: 'never-beat', status: 'active', createdAt: secondsAgo(31), lastHeartbeatAt: null },
+  { id: 'just-created', status: 'active', createdAt: secondsAgo(10), lastHeartbeatAt: null },
+  { id: 'already-lost', status: 'lost', createdAt: secondsAgo(600), lastHeartbeatAt: secondsAgo(300) },
+  { id: 'finalized', status: 'finalized', createdAt: secondsAgo(600), lastHeartbeatAt: null }
+];
+
+describe('findStaleSessions', () => {
+  it('finds active sessions silent since their last heartbeat or creation', () => {
+    const stale = findStaleSessions(SESSIONS, { now: NOW, timeoutMs: 30000 });
+    expect(stale.map(session => session.id)).toEqual(['silent', 'never-beat']);
+  });
+});
+
+describe('getLivenessTimeout', () => {
+  it('falls back to the default for missing or invalid values', () => {
+    expect(getLivenessTimeout('5000')).toBe(5000);
+    expect(getLivenessTimeout(undefined)).toBe(DEFAULT_LIVENESS_TIMEOUT_MS);
+    expect(getLivenessTimeout('-1')).toBe(DEFAULT_LIVENESS_TIMEOUT_MS);
+  });
+});
+
+describe('createLivenessSweeper', () => {
+  it('reports every stale session from the stored state', async () => {
+    vi.useFakeTimers({ now: NOW });
+    try {
+      const onLost = vi.fn();
+      const sweeper = createLivenessSweeper({ timeoutMs: 30000, listSessions: async () => SESSIONS, onLost });
+
+      expect(await sweeper.sweep()).toBe(2);
+      expect(onLost.mock.calls.map(([session, info]) => [session.id, info])).toEqual([
+        ['silent', { lastHeartbeatAt: secondsAgo(45), timeoutMs: 30000 }],
+        ['never-beat', { lastHeartbeatAt: null, timeoutMs: 30000 }]
+      ]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('keeps sweeping after a failed sweep', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const listSessions = vi.fn()
+      .mockRejectedValueOnce(new Error('store unavailable'))
+      .mockResolvedValueOnce([]);
+    const sweeper = createLivenessSweeper({ listSessions, onLost: vi.fn() });
+
+    expect(await sweeper.sweep()).toBe(0);
+    expect(await sweeper.sweep()).toBe(0);
+    expect(listSessions).toHaveBeenCalledTimes(2);
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { validatePolicy, describePolicy } from '../lib/policy';
+
+describe('validatePolicy', () => {
+  it('accepts whole-number attempt settings', () => {
+    const { policy, errors } = validatePolicy({ attempts: { max: 3, hintAfter: 0, lockoutMs: null } });
+    expect(errors).toBeUndefined();
+    expect(policy.attempts).toEqual({ max: 3, hintAfter: 0, lockoutMs: null });
+  });
+
+  it('rejects attempt and strike counts that are not whole numbers', () => {
+    const { errors } = validatePolicy({
+      attempts: { max: 2.5, hintAfter: 1.5 },
+      enforcement: { thresholds: { warn: 1.5 } }
+    });
+    expect(errors).toEqual([
+      'policy.attempts.max must be a whole number',
+      'policy.attempts.hintAfter must be a whole number',
+      'policy.enforcement.thresholds.warn must be a whole number'
+    ]);
+  });
+
+  it('rejects negative counts', () => {
+    expect(validatePolicy({ attempts: { hintAfter: -1 } }).errors).toEqual(['policy.attempts.hintAfter must be at least 0']);
+    expect(validatePolicy({ attempts: { max: 0 } }).errors).toEqual(['policy.attempts.max must be at least 1']);
+  });
+});
+
+describe('describePolicy', () => {
+  it('describes a lockout without an end as lasting the rest of the session', () => {
+    const { policy } = validatePolicy({ attempts: { max: 3, lockoutMs: null } });
+    expect(describePolicy(policy)).toContainEqual(['Lockout', 'For the rest of the session']);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createRecording, saveChunk, finalizeRecording } from '../lib/server/recordingStore';
+
+const chunk = (text) => Buffer.from(text);
+
+describe('finalizeRecording', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'recordings-'));
+    process.env.RECORDINGS_DIR = dir;
+  });
+
+  afterEach(() => {
+    delete process.env.RECORDINGS_DIR;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const record = async (sequences) => {
+    const { id } = await createRecording({ sessionId: 's1' });
+    for (const sequence of sequences) await saveChunk(id, sequence, chunk(`chunk ${sequence}`));
+    return id;
+  };
+
+  it('joins exactly the chunks below totalChunks', async () => {
+    const id = await record([0, 1, 2]);
+    const { manifest } = await finalizeRecording(id, 3);
+    expect(manifest).toMatchObject({ status: 'finalized', totalChunks: 3, file: 'recording.webm' });
+  });
+
+  it('refuses while a sequence is missing', async () => {
+    const id = await record([0, 2]);
+    expect(await finalizeRecording(id, 3)).toMatchObject({ status: 409, missing: [1] });
+  });
+
+  it('refuses a totalChunks that leaves stored chunks out', async () => {
+    const id = await record([0, 1, 2, 3]);
+    expect(await finalizeRecording(id, 2)).toMatchObject({ status: 409, unexpected: [2, 3] });
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRecordingUploader } from '../lib/recordingUploader';
+
+const chunk = () => new Blob(['frame']);
+
+// Answer recording calls like the server would; chunkStatuses lists the status
+// of each chunk upload in turn (the last one repeats), a thrown Error is a network failure
+const mockServer = (chunkStatuses) => {
+  const calls = [];
+  let uploads = 0;
+  vi.stubGlobal('fetch', vi.fn(async (url, { method = 'GET' } = {}) => {
+    calls.push(`${method} ${url}`);
+    if (method === 'PUT') {
+      const status = chunkStatuses[Math.min(uploads++, chunkStatuses.length - 1)];
+      if (status instanceof Error) throw status;
+      return { ok: status < 400, status, json: async () => ({}) };
+    }
+    if (method === 'GET') {
+      return { ok: true, status: 200, json: async () => ({ recording: { chunks: {} } }) };
+    }
+    const payload = url === '/api/recordings' ? { recording: { id: 'r1' } } : { recording: { id: 'r1', status: 'complete' } };
+    return { ok: true, status: 200, json: async () => payload };
+  }));
+  return calls;
+};
+
+const options = { session: { id: 's1', secret: 'secret-s1' }, maxRetries: 3, retryBaseDelayMs: 0 };
+
+describe('createRecordingUploader', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('uploads every chunk, then finalizes the recording', async () => {
+    const calls = mockServer([200]);
+    const uploader = createRecordingUploader(options);
+    uploader.addChunk(chunk());
+    uploader.addChunk(chunk());
+
+    expect(await uploader.finish()).toMatchObject({ id: 'r1' });
+    expect(calls).toEqual([
+      'POST /api/recordings',
+      'PUT /api/recordings/r1/chunks/0',
+      'PUT /api/recordings/r1/chunks/1',
+      'POST /api/recordings/r1/finalize'
+    ]);
+  });
+
+  it('starts the recording for the session and sends its secret with every request', async () => {
+    mockServer([200]);
+    const uploader = createRecordingUploader(options);
+    uploader.addChunk(chunk());
+    await uploader.finish();
+
+    const requests = fetch.mock.calls.map(([, init]) => init);
+    expect(JSON.parse(requests[0].body)).toMatchObject({ sessionId: 's1' });
+    expect(requests.map(({ headers }) => headers['X-Session-Secret'])).toEqual(['secret-s1', 'secret-s1', 'secret-s1']);
+  });
+
+  it('retries network errors, timeouts and rate limits', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    mockServer([new TypeError('Failed to fetch'), 408, 429, 200]);
+    const statuses = [];
+    const uploader = createRecordingUploader({ ...options, onProgress: ({ status }) => statuses.push(status) });
+    uploader.addChunk(chunk());
+
+    expect(await uploader.finish()).toMatchObject({ id: 'r1' });
+    expect(statuses.filter(status => status === 'retrying')).toHaveLength(3);
+  });
+
+  it('gives up at once when the server refuses a chunk', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const calls = mockServer([413]);
+    const statuses = [];
+    const uploader = createRecordingUploader({ ...options, onProgress: ({ status }) => statuses.push(status) });
+    uploader.addChunk(chunk());
+    uploader.addChunk(chunk());
+
+    await expect(uploader.finish()).rejects.toMatchObject({ status: 413 });
+    expect(calls.filter(call => call.startsWith('PUT'))).toHaveLength(1);
+    expect(calls).not.toContain('POST /api/recordings/r1/finalize');
+    expect(statuses[statuses.length - 1]).toBe('failed');
+  });
+
+  it('gives up after maxRetries failures in a row', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const calls = mockServer([503]);
+    const uploader = createRecordingUploader(options);
+    uploader.addChunk(chunk());
+
+    await expect(uploader.finish()).rejects.toMatchObject({ status: 503 });
+    expect(calls.filter(call => call.startsWith('PUT'))).toHaveLength(4);
+
+    // Later chunks are dropped instead of starting the retries over
+    uploader.addChunk(chunk());
+    await expect(uploader.finish()).rejects.toMatchObject({ status: 503 });
+    expect(calls.filter(call => call.startsWith('PUT'))).toHaveLength(4);
+  });
+});
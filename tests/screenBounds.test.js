@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { getScreenBounds, getOutOfBoundsEdges, isPointOutOfBounds } from '../lib/screenBounds';
+
+// A 1920×1080 screen with a 40px taskbar; extra fields describe where it sits
+const screenWith = (fields) => ({ width: 1920, height: 1080, availWidth: 1920, availHeight: 1080, ...fields });
+
+const edgesOf = ({ left, top, right, bottom }) => ({ left, top, right, bottom });
+
+describe('getScreenBounds', () => {
+  it('uses the screen origin when the browser exposes it', () => {
+    const bounds = getScreenBounds(screenWith({ left: -1920, top: 0, availLeft: -1920, availTop: 0, availHeight: 1040 }), 2);
+    expect(edgesOf(bounds)).toEqual({ left: -1920, top: 0, right: 0, bottom: 1080 });
+    expect(bounds.workArea).toEqual({ left: -1920, top: 0, right: 0, bottom: 1040 });
+    expect(bounds.devicePixelRatio).toBe(2);
+  });
+
+  it('adds a bottom taskbar below the work area only', () => {
+    const bounds = getScreenBounds(screenWith({ availLeft: 0, availTop: 0, availHeight: 1040 }));
+    expect(edgesOf(bounds)).toEqual({ left: 0, top: 0, right: 1920, bottom: 1080 });
+  });
+
+  it('adds a top taskbar above the work area only', () => {
+    const bounds = getScreenBounds(screenWith({ availLeft: 0, availTop: 40, availHeight: 1040 }));
+    expect(edgesOf(bounds)).toEqual({ left: 0, top: 0, right: 1920, bottom: 1080 });
+  });
+
+  it('adds a left or right taskbar on its own side', () => {
+    expect(edgesOf(getScreenBounds(screenWith({ availLeft: 60, availTop: 0, availWidth: 1860 }))))
+      .toEqual({ left: 0, top: 0, right: 1920, bottom: 1080 });
+    expect(edgesOf(getScreenBounds(screenWith({ availLeft: 0, availTop: 0, availWidth: 1860 }))))
+      .toEqual({ left: 0, top: 0, right: 1920, bottom: 1080 });
+  });
+
+  it('places monitors beside or left of the primary one', () => {
+    expect(edgesOf(getScreenBounds(screenWith({ availLeft: 1920, availTop: 0, availWidth: 1860 }))))
+      .toEqual({ left: 1920, top: 0, right: 3840, bottom: 1080 });
+    expect(edgesOf(getScreenBounds(screenWith({ availLeft: -1860, availTop: 0, availWidth: 1860 }))))
+      .toEqual({ left: -1920, top: 0, right: 0, bottom: 1080 });
+  });
+
+  it('has empty bounds without a screen', () => {
+    expect(getScreenBounds(null)).toMatchObject({ left: 0, right: 0, width: 0, height: 0 });
+  });
+});
+
+describe('out of bounds checks', () => {
+  const bounds = getScreenBounds(screenWith({ availLeft: 0, availTop: 0, availHeight: 1040 }));
+
+  it('accepts points on the taskbar and on the edges', () => {
+    expect(isPointOutOfBounds(960, 1060, bounds)).toBe(false);
+    expect(isPointOutOfBounds(0, 0, bounds)).toBe(false);
+    expect(isPointOutOfBounds(1920, 1080, bounds)).toBe(false);
+  });
+
+  it('names every edge a point is beyond', () => {
+    expect(getOutOfBoundsEdges(-5, 1200, bounds)).toEqual(['left edge', 'bottom edge']);
+    expect(getOutOfBoundsEdges(2000, -1, bounds)).toEqual(['right edge', 'top edge']);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { SESSION_STATES, SESSION_ACTIONS, getNextState, canTransition } from '../lib/screenShareMachine';
+
+const { INSTRUCTIONS, REQUESTING, SUCCESS, ERROR, INTERRUPTED, ENDED } = SESSION_STATES;
+const { REQUEST, ACCEPT, REJECT, INTERRUPT, RESUME, DISMISS, RESET, END } = SESSION_ACTIONS;
+
+describe('screen share state machine', () => {
+  it('runs a share from the instructions to an accepted or rejected surface', () => {
+    expect(getNextState(INSTRUCTIONS, REQUEST)).toBe(REQUESTING);
+    expect(getNextState(REQUESTING, ACCEPT)).toBe(SUCCESS);
+    expect(getNextState(REQUESTING, REJECT)).toBe(ERROR);
+  });
+
+  it('lets a rejected share be retried or dismissed', () => {
+    expect(getNextState(ERROR, REQUEST)).toBe(REQUESTING);
+    expect(getNextState(ERROR, DISMISS)).toBe(INSTRUCTIONS);
+  });
+
+  it('interrupts an accepted share and resumes or reshares it', () => {
+    expect(getNextState(SUCCESS, INTERRUPT)).toBe(INTERRUPTED);
+    expect(getNextState(INTERRUPTED, INTERRUPT)).toBe(INTERRUPTED);
+    expect(getNextState(INTERRUPTED, RESUME)).toBe(SUCCESS);
+    expect(getNextState(INTERRUPTED, REQUEST)).toBe(REQUESTING);
+  });
+
+  it('restarts from every state but an open picker and an ended session', () => {
+    [INSTRUCTIONS, SUCCESS, INTERRUPTED, ERROR].forEach(state => {
+      expect(getNextState(state, RESET)).toBe(INSTRUCTIONS);
+    });
+    expect(canTransition(REQUESTING, RESET)).toBe(false);
+    expect(canTransition(ENDED, RESET)).toBe(false);
+  });
+
+  it('refuses a retry while the picker is open', () => {
+    expect(canTransition(REQUESTING, REQUEST)).toBe(false);
+    expect(canTransition(REQUESTING, INTERRUPT)).toBe(false);
+  });
+
+  it('only resumes or validates a share that is in progress', () => {
+    expect(canTransition(INSTRUCTIONS, RESUME)).toBe(false);
+    expect(canTransition(INSTRUCTIONS, ACCEPT)).toBe(false);
+    expect(canTransition(SUCCESS, RESUME)).toBe(false);
+    expect(canTransition(SUCCESS, REQUEST)).toBe(false);
+    expect(canTransition(ERROR, INTERRUPT)).toBe(false);
+  });
+
+  it('ends only a share that was accepted, and nothing follows the end', () => {
+    expect(getNextState(SUCCESS, END)).toBe(ENDED);
+    expect(getNextState(INTERRUPTED, END)).toBe(ENDED);
+    expect(canTransition(INSTRUCTIONS, END)).toBe(false);
+    expect(canTransition(ERROR, END)).toBe(false);
+    Object.values(SESSION_ACTIONS).forEach(action => {
+      expect(canTransition(ENDED, action)).toBe(false);
+    });
+  });
+
+  it('refuses unknown states and actions', () => {
+    expect(getNextState('bogus', REQUEST)).toBeNull();
+    expect(getNextState(INSTRUCTIONS, 'bogus')).toBeNull();
+  });
+});
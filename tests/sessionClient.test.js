@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSessionTracker } from '../lib/sessionClient';
+
+// Answer every API call like the server would and remember what was sent
+const mockServer = () => {
+  const calls = [];
+  vi.stubGlobal('fetch', vi.fn(async (url, { body, headers }) => {
+    calls.push({ url, body: JSON.parse(body), secret: headers['X-Session-Secret'] });
+    if (url.endsWith('/attempts')) {
+      const count = calls.filter(call => call.url === url).length;
+      const locked = count > 2;
+      return { ok: !locked, status: locked ? 423 : 200, json: async () => ({ attempt: { count, locked, lockedUntil: null } }) };
+    }
+    const payload = url === '/api/sessions'
+      ? { session: { id: `s${calls.length}` }, clientSecret: `secret-s${calls.length}` }
+      : {};
+    return { ok: true, json: async () => payload };
+  }));
+  return calls;
+};
+
+describe('createSessionTracker', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = mockServer();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sends nothing before a share starts', async () => {
+    const tracker = createSessionTracker();
+    tracker.note('policy', { id: 'default' });
+    await tracker.record('step', { step: 'instructions' });
+
+    expect(calls).toEqual([]);
+    expect(await tracker.getSessionId()).toBeNull();
+  });
+
+  it('opens the session on start with the noted context', async () => {
+    const tracker = createSessionTracker();
+    tracker.note('policy', { id: 'default' });
+    tracker.note('policy', { id: 'strict-exam' });
+    tracker.note('simulator', { scenario: 'monitor' });
+
+    await tracker.start();
+    await tracker.record('step', { step: 'requesting' });
+
+    expect(calls.map(call => call.url)).toEqual([
+      '/api/sessions', '/api/sessions/s1/events', '/api/sessions/s1/attempts', '/api/sessions/s1/events'
+    ]);
+    // The server picks the policy
+    expect(calls[0].body.policyId).toBeUndefined();
+    expect(calls[1].body.events.map(({ type, data }) => ({ type, data }))).toEqual([
+      { type: 'policy', data: { id: 'strict-exam' } },
+      { type: 'simulator', data: { scenario: 'monitor' } }
+    ]);
+    expect(calls[3].body.events[0].type).toBe('step');
+  });
+
+  it('sends the client secret with every write to the session', async () => {
+    const tracker = createSessionTracker();
+    await tracker.start();
+    await tracker.record('step', { step: 'requesting' });
+    await tracker.finalize('completed');
+
+    expect(calls[0].secret).toBeUndefined();
+    expect(calls.slice(1).map(call => call.secret)).toEqual(['secret-s1', 'secret-s1', 'secret-s1']);
+  });
+
+  it('creates one session per share until it is finalized', async () => {
+    const tracker = createSessionTracker();
+    await Promise.all([tracker.start(), tracker.start()]);
+    expect(await tracker.getSessionId()).toBe('s1');
+
+    await tracker.finalize('restarted');
+    await tracker.record('step', { step: 'instructions' });
+    expect(calls.map(call => call.url).filter(url => !url.endsWith('/attempts'))).toEqual([
+      '/api/sessions', '/api/sessions/s1/finalize'
+    ]);
+    expect(await tracker.getSessionId()).toBeNull();
+  });
+
+  it('returns the attempt the server counted, including a lockout', async () => {
+    const tracker = createSessionTracker();
+    expect(await tracker.start()).toEqual({ count: 1, locked: false, lockedUntil: null });
+    expect(await tracker.start()).toMatchObject({ count: 2, locked: false });
+    expect(await tracker.start()).toMatchObject({ count: 3, locked: true });
+    expect(calls.filter(call => call.url === '/api/sessions')).toHaveLength(1);
+  });
+
+  it('resumes an adopted session and keeps it through restarts', async () => {
+    const tracker = createSessionTracker();
+    tracker.adopt({ id: 'provisioned', secret: 'host-secret' });
+    await tracker.start();
+    await tracker.finalize('restarted');
+    await tracker.start();
+
+    expect(calls.map(call => call.url)).toEqual([
+      '/api/sessions/provisioned/attempts', '/api/sessions/provisioned/attempts'
+    ]);
+    expect(calls.every(call => call.secret === 'host-secret')).toBe(true);
+    expect(await tracker.getSessionId()).toBe('provisioned');
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { judgeShare } from '../lib/server/shareVerdicts';
+import { getScenario, buildTrackDescription, SIMULATED_SCREEN } from '../lib/simulator';
+import { DEFAULT_POLICY, validatePolicy } from '../lib/policy';
+
+const screen = {
+  width: SIMULATED_SCREEN.width,
+  height: SIMULATED_SCREEN.height,
+  devicePixelRatio: SIMULATED_SCREEN.devicePixelRatio
+};
+
+// What the browser sends for a simulated share
+const evidenceFor = (scenario, extra = {}) => ({
+  trigger: 'request',
+  ...buildTrackDescription(getScenario(scenario).share),
+  screen,
+  ...extra
+});
+
+const { policy: audioPolicy } = validatePolicy({ id: 'audio', audio: { required: true } });
+
+describe('judgeShare', () => {
+  it('accepts an entire screen that matches the reported screen', () => {
+    expect(judgeShare(evidenceFor('monitor'), DEFAULT_POLICY)).toMatchObject({
+      trigger: 'request',
+      policyId: 'default',
+      decision: 'accepted',
+      surface: 'monitor',
+      signal: 'displaySurface',
+      consistency: { isConsistent: true }
+    });
+  });
+
+  it.each(['window', 'browser'])('rejects a %s share under the default policy', (scenario) => {
+    expect(judgeShare(evidenceFor(scenario), DEFAULT_POLICY)).toMatchObject({
+      decision: 'rejected',
+      surface: scenario,
+      consistency: null
+    });
+  });
+
+  it('rejects another monitor than the one the page is on', () => {
+    expect(judgeShare(evidenceFor('other-monitor'), DEFAULT_POLICY)).toMatchObject({
+      decision: 'rejected',
+      consistency: { isConsistent: false, reason: 'size' }
+    });
+  });
+
+  it('rejects a share without evidence', () => {
+    expect(judgeShare({}, DEFAULT_POLICY)).toMatchObject({ trigger: 'request', decision: 'rejected', surface: 'unknown' });
+  });
+
+  it('requires a live audio track when the policy asks for audio', () => {
+    expect(judgeShare(evidenceFor('monitor'), audioPolicy)).toMatchObject({
+      decision: 'rejected',
+      audio: { isValid: false, issue: 'missing' }
+    });
+
+    const audio = { trackCount: 1, readyState: 'live', muted: false, label: 'System Audio' };
+    expect(judgeShare(evidenceFor('monitor', { audio }), audioPolicy)).toMatchObject({
+      decision: 'accepted',
+      audio: { isValid: true }
+    });
+    expect(judgeShare(evidenceFor('monitor', { audio: { ...audio, muted: true } }), audioPolicy)).toMatchObject({
+      decision: 'rejected',
+      audio: { issue: 'muted' }
+    });
+  });
+
+  it('re-checks only the surface for track changes', () => {
+    const verdict = judgeShare(evidenceFor('other-monitor', { trigger: 'track-settingschange' }), audioPolicy);
+    expect(verdict).toMatchObject({ trigger: 'track-settingschange', decision: 'accepted', consistency: null });
+    expect(verdict.audio).toBeUndefined();
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  SIMULATOR_SCENARIOS,
+  SIMULATED_SCREEN,
+  getScenario,
+  buildTrackDescription,
+  decorateTrack,
+  buildScreenDetails,
+  createFakeMediaDevices,
+  runScript
+} from '../lib/simulator';
+import {
+  validateDisplaySurface,
+  checkScreenConsistency,
+  SIGNALS
+} from '../lib/screenShareValidation';
+import { getScreenBounds, getOutOfBoundsEdges, isPointOutOfBounds } from '../lib/screenBounds';
+
+const screenSize = {
+  width: SIMULATED_SCREEN.width,
+  height: SIMULATED_SCREEN.height,
+  devicePixelRatio: SIMULATED_SCREEN.devicePixelRatio
+};
+
+// A plain track standing in for the canvas track the browser simulator uses
+const trackFor = (share) => decorateTrack(new EventTarget(), buildTrackDescription(share));
+
+describe('simulated shares through the validation engine', () => {
+  it.each([
+    ['monitor', 'monitor', SIGNALS.DISPLAY_SURFACE, true],
+    ['window', 'window', SIGNALS.DISPLAY_SURFACE, false],
+    ['browser', 'browser', SIGNALS.DISPLAY_SURFACE, false],
+    ['label-only', 'monitor', SIGNALS.LABEL, true],
+    ['other-monitor', 'monitor', SIGNALS.DISPLAY_SURFACE, true],
+    ['with-audio', 'monitor', SIGNALS.DISPLAY_SURFACE, true]
+  ])('%s is seen as %s via %s', (name, surface, signal, isValid) => {
+    const validation = validateDisplaySurface(trackFor(getScenario(name).share), screenSize);
+    expect(validation).toMatchObject({ surface, signal, isValid });
+  });
+
+  it('does not take a screen-sized capture without a surface for a monitor', () => {
+    // A maximised or fullscreen window is as large as the screen
+    const validation = validateDisplaySurface(trackFor({ label: 'Exam notes' }), screenSize);
+    expect(validation).toMatchObject({ surface: 'unknown', signal: SIGNALS.NONE, isValid: false });
+    expect(validation.details.frameSize).toMatchObject({ width: 1920, height: 1080, matchesScreen: true });
+  });
+
+  it('accepts a monitor of the same size as the current screen', () => {
+    expect(checkScreenConsistency(trackFor(SIMULATOR_SCENARIOS.monitor.share), screenSize))
+      .toMatchObject({ isConsistent: true, reason: null });
+  });
+
+  it('rejects a second monitor with a different size', () => {
+    const consistency = checkScreenConsistency(trackFor(SIMULATOR_SCENARIOS['other-monitor'].share), screenSize);
+    expect(consistency).toMatchObject({ isConsistent: false, reason: 'size' });
+    expect(consistency.details).toMatchObject({ width: 2560, height: 1440, expectedWidth: 1920, expectedHeight: 1080 });
+  });
+
+  it('has nothing to compare when no size is reported', () => {
+    expect(checkScreenConsistency(trackFor(SIMULATOR_SCENARIOS['label-only'].share), screenSize).isConsistent).toBe(true);
+  });
+
+  it('invalidates a share switched to a window', () => {
+    const scenario = SIMULATOR_SCENARIOS['switch-to-window'];
+    const track = trackFor(scenario.share);
+    expect(validateDisplaySurface(track, screenSize).isValid).toBe(true);
+
+    const [step] = scenario.script;
+    track.updateSettings({ displaySurface: step.surface, width: step.width, height: step.height });
+    expect(validateDisplaySurface(track, screenSize)).toMatchObject({ surface: 'window', isValid: false });
+  });
+});
+
+describe('simulated picker', () => {
+  it('throws the scripted error', async () => {
+    const mediaDevices = createFakeMediaDevices(SIMULATOR_SCENARIOS.denied, async () => null);
+    await expect(mediaDevices.getDisplayMedia({ video: true })).rejects.toMatchObject({ name: 'NotAllowedError' });
+  });
+
+  it('only adds audio when it was requested', async () => {
+    const createStream = vi.fn(async share => share);
+    const mediaDevices = createFakeMediaDevices(SIMULATOR_SCENARIOS['with-audio'], createStream);
+    expect((await mediaDevices.getDisplayMedia({ video: true, audio: false })).audio).toBe(false);
+    expect((await mediaDevices.getDisplayMedia({ video: true, audio: true })).audio).toBe(true);
+  });
+});
+
+describe('simulated cursor path through the bounds logic', () => {
+  const bounds = getScreenBounds(SIMULATED_SCREEN, SIMULATED_SCREEN.devicePixelRatio);
+
+  it('uses the screen origin the simulator reports', () => {
+    expect(bounds).toMatchObject({ left: 0, top: 0, right: 1920, bottom: 1080 });
+  });
+
+  it('flags the points that wander onto the second monitor', () => {
+    const scenario = SIMULATOR_SCENARIOS['second-monitor-cursor'];
+    const points = [];
+    const timers = [];
+    runScript(scenario.script, step => points.push(step), (fn, at) => timers.push([at, fn]));
+    timers.sort((a, b) => a[0] - b[0]).forEach(([, fn]) => fn());
+
+    expect(points.map(({ screenX, screenY }) => getOutOfBoundsEdges(screenX, screenY, bounds))).toEqual([
+      [], [], [], ['right edge'], ['right edge'], []
+    ]);
+  });
+
+  it('places the second display to the right of the first', () => {
+    const [first, second] = buildScreenDetails(2).screens;
+    expect(isPointOutOfBounds(2300, 560, getScreenBounds(first))).toBe(true);
+    expect(isPointOutOfBounds(2300, 560, getScreenBounds(second))).toBe(false);
+  });
+});
+
+describe('runScript', () => {
+  it('cancels the steps still pending', () => {
+    const cancel = vi.fn();
+    let id = 0;
+    const stop = runScript(SIMULATOR_SCENARIOS['track-muted'].script, () => {}, () => ++id, cancel);
+    stop();
+    expect(cancel.mock.calls.map(([timer]) => timer)).toEqual([1, 2]);
+  });
+});
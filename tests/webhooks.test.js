@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createHmac } from 'crypto';
+import { mkdtempSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createWebhookDispatcher, matchesEventType, getRetryDelay } from '../lib/server/webhooks';
+
+const EVENT = {
+  id: 'e1',
+  sessionId: 's1',
+  type: 'session.violation',
+  timestamp: '2026-01-01T12:00:00.000Z',
+  data: { violationType: 'tab-hidden' }
+};
+
+// Answer deliveries with the given statuses in turn (the last one repeats) and remember each request
+const mockFetch = (statuses) => {
+  const requests = [];
+  const fetchImpl = vi.fn(async (url, { headers, body }) => {
+    requests.push({ url, headers, body });
+    const status = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+    return { ok: status < 400, status };
+  });
+  return { fetchImpl, requests };
+};
+
+// Collect retries instead of waiting for them; run() delivers them one by one
+const mockSchedule = () => {
+  const delays = [];
+  const pending = [];
+  const schedule = (callback, delay) => {
+    delays.push(delay);
+    pending.push(callback);
+  };
+  const run = async () => {
+    while (pending.length > 0) await pending.shift()();
+  };
+  return { schedule, delays, run };
+};
+
+describe('matchesEventType', () => {
+  it('matches exact types, prefixes and the wildcard', () => {
+    expect(matchesEventType(['session.violation'], 'session.violation')).toBe(true);
+    expect(matchesEventType(['session.violation'], 'session.validation')).toBe(false);
+    expect(matchesEventType(['session.*'], 'session.finalized')).toBe(true);
+    expect(matchesEventType(['*'], 'session.created')).toBe(true);
+    expect(matchesEventType(undefined, 'session.created')).toBe(true);
+  });
+
+  it('sends heartbeats only to endpoints that list them by name', () => {
+    expect(matchesEventType(undefined, 'session.heartbeat')).toBe(false);
+    expect(matchesEventType(['*'], 'session.heartbeat')).toBe(false);
+    expect(matchesEventType(['session.*'], 'session.heartbeat')).toBe(false);
+    expect(matchesEventType(['*', 'session.heartbeat'], 'session.heartbeat')).toBe(true);
+  });
+});
+
+describe('createWebhookDispatcher', () => {
+  let dir;
+  let deadLetterPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'webhooks-'));
+    deadLetterPath = path.join(dir, 'dead-letters.jsonl');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('signs the timestamp and body with the endpoint secret', async () => {
+    const { fetchImpl, requests } = mockFetch([200]);
+    const dispatcher = createWebhookDispatcher({
+      endpoints: [{ url: 'https://hooks.test/signed', secret: 'hook-secret' }],
+      fetchImpl,
+      deadLetterPath
+    });
+    await dispatcher.dispatch(EVENT);
+
+    const [{ headers, body }] = requests;
+    const expected = createHmac('sha256', 'hook-secret').update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex');
+    expect(JSON.parse(body)).toEqual(EVENT);
+    expect(headers).toMatchObject({
+      'X-Webhook-Event': 'session.violation',
+      'X-Webhook-Id': 'e1',
+      'X-Webhook-Attempt': '1',
+      'X-Webhook-Signature': `sha256=${expected}`
+    });
+  });
+
+  it('delivers an event only to the endpoints subscribed to its type', async () => {
+    const { fetchImpl, requests } = mockFetch([200]);
+    const dispatcher = createWebhookDispatcher({
+      endpoints: [
+        { url: 'https://hooks.test/violations', events: ['session.violation'] },
+        { url: 'https://hooks.test/lifecycle', events: ['session.created', 'session.finalized'] },
+        { url: 'https://hooks.test/all', events: ['*'] }
+      ],
+      fetchImpl,
+      deadLetterPath
+    });
+    await dispatcher.dispatch(EVENT);
+    await dispatcher.dispatch({ ...EVENT, id: 'e2', type: 'session.heartbeat' });
+
+    expect(requests.map(request => request.url)).toEqual(['https://hooks.test/violations', 'https://hooks.test/all']);
+  });
+
+  it('retries with exponential backoff until a delivery succeeds', async () => {
+    const { fetchImpl, requests } = mockFetch([500, 503, 200]);
+    const { schedule, delays, run } = mockSchedule();
+    const dispatcher = createWebhookDispatcher({
+      endpoints: [{ url: 'https://hooks.test/flaky' }],
+      fetchImpl,
+      schedule,
+      deadLetterPath,
+      baseDelayMs: 100
+    });
+    await dispatcher.dispatch(EVENT);
+    await run();
+
+    expect(delays).toEqual([100, 200]);
+    expect(requests.map(request => request.headers['X-Webhook-Attempt'])).toEqual(['1', '2', '3']);
+    expect(existsSync(deadLetterPath)).toBe(false);
+  });
+
+  it('dead-letters the event after the last attempt', async () => {
+    const { fetchImpl, requests } = mockFetch([500]);
+    const { schedule, delays, run } = mockSchedule();
+    const dispatcher = createWebhookDispatcher({
+      endpoints: [{ url: 'https://hooks.test/down' }],
+      fetchImpl,
+      schedule,
+      deadLetterPath,
+      maxAttempts: 4,
+      baseDelayMs: 1000
+    });
+    await dispatcher.dispatch(EVENT);
+    await run();
+
+    expect(requests).toHaveLength(4);
+    expect(delays).toEqual([1, 2, 3].map(attempt => getRetryDelay(attempt, 1000)));
+    expect(delays).toEqual([1000, 2000, 4000]);
+    const [record, ...rest] = readFileSync(deadLetterPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(rest).toEqual([]);
+    expect(record).toMatchObject({ url: 'https://hooks.test/down', attempts: 4, lastError: 'HTTP 500', event: EVENT });
+  });
+});